@@ -9,6 +9,7 @@ export class Audio {
     constructor() {
         this.ctx = null;
         this.enabled = true;
+        this.muted = false;     // Temporary silence (attract-mode demos), separate from enabled
         this.volume = 0.5;
         this.buffers = {};
         this.loaded = false;
@@ -27,6 +28,12 @@ export class Audio {
     }
 
     async init() {
+        // No Web Audio outside the browser (headless simulation under Node)
+        if (typeof window === 'undefined') {
+            this.enabled = false;
+            return;
+        }
+
         try {
             this.ctx = new (window.AudioContext || window.webkitAudioContext)();
             await this.loadSounds();
@@ -68,7 +75,7 @@ export class Audio {
     }
 
     play(soundName) {
-        if (!this.enabled || !this.ctx) return;
+        if (!this.enabled || this.muted || !this.ctx) return;
 
         // Resume context if suspended (browser autoplay policy)
         if (this.ctx.state === 'suspended') {
@@ -104,6 +111,14 @@ export class Audio {
             powerup: { freq: 600, duration: 0.2, type: 'sine', sweep: 1200 },
             gameOver: { freq: 100, duration: 0.5, type: 'sawtooth', decay: true },
             nextLevel: { freq: 500, duration: 0.3, type: 'sine', sweep: 800 },
+            collision: { freq: 90, duration: 0.12, type: 'square' },
+            // Grabber sounds have no samples - always synthesized
+            grabberLatch: { freq: 300, duration: 0.25, type: 'sawtooth', sweep: 80 },
+            grabberDrain: { freq: 120, duration: 0.06, type: 'triangle' },
+            grabberHit: { freq: 180, duration: 0.3, type: 'sawtooth', sweep: 900 },
+            // Lives (not in the original) - synthesized too
+            respawn: { freq: 200, duration: 0.5, type: 'sine', sweep: 1000 },
+            extraLife: { freq: 700, duration: 0.25, type: 'square', sweep: 1400 },
         };
 
         const sound = synthSounds[soundName];
@@ -0,0 +1,188 @@
+/*
+ * ZGraf Web - Rendering Backends
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Where the 3D primitives end up. SceneRenderer (scene.js) projects and
+// clips each primitive for each eye, then hands the backend flat 2D shapes
+// in canvas coordinates:
+//
+//   beginFrame(width, height)
+//   fillRect(eye, {x, y, width, height}, color)
+//   strokeLines(eye, [{x1, y1, x2, y2}, ...], color, lineWidth)
+//   fillPolygon(eye, [{x, y}, ...], color)
+//   endFrame()
+//
+// eye is 'left' or 'right' in stereo, 'white' in mono (drawn into the left
+// eye image). Colors are CSS rgb() strings already tinted for the eye.
+
+/**
+ * Draws into the renderer's eye canvases (the game's normal backend)
+ */
+export class Canvas2DBackend {
+    /**
+     * @param {Renderer} renderer - Owner of leftCtx/rightCtx (looked up per call, so resizing is fine)
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+    }
+
+    getContext(eye) {
+        return eye === 'right' ? this.renderer.rightCtx : this.renderer.leftCtx;
+    }
+
+    // The renderer clears the eye canvases itself
+    beginFrame() {}
+
+    fillRect(eye, rect, color) {
+        const ctx = this.getContext(eye);
+        ctx.fillStyle = color;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    strokeLines(eye, lines, color, lineWidth) {
+        const ctx = this.getContext(eye);
+        ctx.beginPath();
+        for (const line of lines) {
+            ctx.moveTo(line.x1, line.y1);
+            ctx.lineTo(line.x2, line.y2);
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.stroke();
+    }
+
+    fillPolygon(eye, points, color) {
+        const ctx = this.getContext(eye);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
+
+    endFrame() {}
+}
+
+/**
+ * Records each frame's primitives as plain data, e.g. for snapshot tests:
+ *   { op: 'fillRect', eye: 'left', x, y, width, height, color }
+ *   { op: 'strokeLines', eye, lines: [{x1, y1, x2, y2}], color, lineWidth }
+ *   { op: 'fillPolygon', eye, points: [{x, y}], color }
+ * Coordinates are rounded to 2 decimal places so snapshots compare cleanly.
+ */
+export class CommandListBackend {
+    /**
+     * @param {Object} target - Backend to pass everything on to as well (optional)
+     */
+    constructor(target = null) {
+        this.target = target;
+        this.width = 0;
+        this.height = 0;
+        this.commands = [];
+    }
+
+    beginFrame(width, height) {
+        this.width = width;
+        this.height = height;
+        this.commands = [];
+        this.target?.beginFrame(width, height);
+    }
+
+    fillRect(eye, rect, color) {
+        this.commands.push({ op: 'fillRect', eye, x: round(rect.x), y: round(rect.y),
+                             width: round(rect.width), height: round(rect.height), color });
+        this.target?.fillRect(eye, rect, color);
+    }
+
+    strokeLines(eye, lines, color, lineWidth) {
+        const rounded = lines.map((l) => ({ x1: round(l.x1), y1: round(l.y1), x2: round(l.x2), y2: round(l.y2) }));
+        this.commands.push({ op: 'strokeLines', eye, lines: rounded, color, lineWidth });
+        this.target?.strokeLines(eye, lines, color, lineWidth);
+    }
+
+    fillPolygon(eye, points, color) {
+        const rounded = points.map((p) => ({ x: round(p.x), y: round(p.y) }));
+        this.commands.push({ op: 'fillPolygon', eye, points: rounded, color });
+        this.target?.fillPolygon(eye, points, color);
+    }
+
+    endFrame() {
+        this.target?.endFrame();
+    }
+
+    /**
+     * The last frame as JSON-ready data
+     */
+    toJSON() {
+        return { width: this.width, height: this.height, commands: this.commands };
+    }
+}
+
+/**
+ * Builds an SVG image of the frame. Each eye is a group; in stereo the
+ * groups are screen-blended over black, which adds the eye colors the way
+ * the tinted anaglyph does.
+ */
+export class SVGBackend {
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.groups = new Map();   // eye -> SVG elements
+    }
+
+    beginFrame(width, height) {
+        this.width = width;
+        this.height = height;
+        this.groups = new Map();
+    }
+
+    add(eye, element) {
+        if (!this.groups.has(eye)) {
+            this.groups.set(eye, []);
+        }
+        this.groups.get(eye).push(element);
+    }
+
+    fillRect(eye, rect, color) {
+        this.add(eye, `<rect x="${round(rect.x)}" y="${round(rect.y)}" width="${round(rect.width)}" ` +
+                      `height="${round(rect.height)}" fill="${color}"/>`);
+    }
+
+    strokeLines(eye, lines, color, lineWidth) {
+        const path = lines.map((l) => `M${round(l.x1)} ${round(l.y1)}L${round(l.x2)} ${round(l.y2)}`).join('');
+        this.add(eye, `<path d="${path}" stroke="${color}" stroke-width="${lineWidth}" fill="none"/>`);
+    }
+
+    fillPolygon(eye, points, color) {
+        const coords = points.map((p) => `${round(p.x)},${round(p.y)}`).join(' ');
+        this.add(eye, `<polygon points="${coords}" fill="${color}"/>`);
+    }
+
+    endFrame() {}
+
+    /**
+     * The last frame as a standalone SVG document
+     */
+    toString() {
+        const lines = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+            `viewBox="0 0 ${this.width} ${this.height}">`,
+            `<rect width="${this.width}" height="${this.height}" fill="#000"/>`
+        ];
+        for (const [eye, elements] of this.groups) {
+            lines.push(`<g id="${eye}-eye" style="mix-blend-mode: screen">`, ...elements, '</g>');
+        }
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
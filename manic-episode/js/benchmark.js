@@ -0,0 +1,99 @@
+/*
+ * ZGraf Web - Compositing Benchmark
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Times the stereo compositing step (Renderer.endFrame) with the old
+// per-pixel JavaScript loop and with canvas compositing operations, over the
+// same number of frames each, in the current stereo output mode. Started
+// with F9 or ?benchmark in the URL; results are shown on screen and logged.
+
+const FRAMES_PER_METHOD = 120;
+
+// Methods in the order they're timed
+export const COMPOSITE_METHODS = ['pixels', 'canvas'];
+
+const METHOD_LABELS = {
+    pixels: 'Per-pixel loop',
+    canvas: 'Canvas operations'
+};
+
+export class CompositeBenchmark {
+    /**
+     * @param {string} outputLabel - Stereo output mode being measured
+     * @param {number} frames - Frames timed per method
+     */
+    constructor(outputLabel, frames = FRAMES_PER_METHOD) {
+        this.outputLabel = outputLabel;
+        this.frames = frames;
+        this.times = { pixels: [], canvas: [] };  // ms per frame
+        this.methodIndex = 0;
+    }
+
+    get done() {
+        return this.methodIndex >= COMPOSITE_METHODS.length;
+    }
+
+    /**
+     * Compositing method for the next frame
+     */
+    get method() {
+        return COMPOSITE_METHODS[Math.min(this.methodIndex, COMPOSITE_METHODS.length - 1)];
+    }
+
+    /**
+     * Record one frame's compositing time
+     */
+    record(ms) {
+        if (this.done) return;
+
+        const times = this.times[this.method];
+        times.push(ms);
+        if (times.length >= this.frames) {
+            this.methodIndex++;
+            if (this.done) {
+                console.table(this.getSummary());
+            }
+        }
+    }
+
+    /**
+     * Mean, median and worst frame for each method timed so far
+     */
+    getSummary() {
+        const summary = {};
+        for (const method of COMPOSITE_METHODS) {
+            const times = [...this.times[method]].sort((a, b) => a - b);
+            if (times.length === 0) continue;
+            summary[METHOD_LABELS[method]] = {
+                frames: times.length,
+                meanMs: +(times.reduce((sum, t) => sum + t, 0) / times.length).toFixed(2),
+                medianMs: +times[Math.floor(times.length / 2)].toFixed(2),
+                worstMs: +times[times.length - 1].toFixed(2)
+            };
+        }
+        return summary;
+    }
+
+    /**
+     * Text lines for the on-screen report
+     */
+    getLines(width, height) {
+        const summary = this.getSummary();
+        const lines = [`Compositing benchmark - ${this.outputLabel}, ${width}x${height}`];
+        for (const [label, result] of Object.entries(summary)) {
+            lines.push(`${label}: ${result.meanMs} ms mean, ${result.medianMs} median, ` +
+                       `${result.worstMs} worst (${result.frames} frames)`);
+        }
+
+        const pixels = summary[METHOD_LABELS.pixels];
+        const canvas = summary[METHOD_LABELS.canvas];
+        if (this.done && canvas.meanMs > 0) {
+            lines.push(`Speedup: ${(pixels.meanMs / canvas.meanMs).toFixed(1)}x`);
+        }
+        lines.push(this.done ? 'F9: close' : `Timing ${METHOD_LABELS[this.method].toLowerCase()}... (F9: cancel)`);
+        return lines;
+    }
+}
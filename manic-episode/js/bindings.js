@@ -0,0 +1,315 @@
+/*
+ * ZGraf Web - Key Bindings
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { getDefaultStorage, readJson, writeJson } from './storage.js';
+
+// Which keys press which input actions (input.js), kept in storage between
+// sessions. Keys are KeyboardEvent.code values (where the key is, so they
+// don't change with the keyboard layout or Shift), optionally prefixed
+// 'Shift+'. Function keys and Tab belong to the game and can't be bound.
+
+const STORAGE_KEY = 'manic-episode-bindings';
+const MAX_KEYS = 3;    // Keys per action
+
+// In the order the controls screen lists them
+export const BINDABLE_ACTIONS = [
+    { action: 'forward', label: 'Thrust forward' },
+    { action: 'backward', label: 'Thrust back' },
+    { action: 'fire', label: 'Fire' },
+    { action: 'pause', label: 'Pause' },
+    { action: 'rearView', label: 'Rear view' },
+    { action: 'restart', label: 'Restart' },
+    { action: 'settings', label: 'Settings' },
+    { action: 'swarm', label: 'Aphid swarm' }
+];
+
+// First key of each is the one the hints mention (the original's 2 and 1)
+export const DEFAULT_BINDINGS = {
+    forward: ['Digit2', 'KeyW', 'ArrowUp'],
+    backward: ['Digit1', 'KeyS', 'ArrowDown'],
+    fire: ['Space'],
+    pause: ['Escape'],
+    rearView: ['KeyM'],
+    restart: ['KeyR'],
+    settings: ['KeyO'],
+    swarm: ['Shift+KeyA']
+};
+
+const KEY_LABELS = {
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    Escape: 'Esc',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Slash: '/'
+};
+
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+                        'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+/**
+ * Binding for a key press: its code, with Shift if held
+ */
+export function keyFromEvent(e) {
+    const code = e.code || e.key;
+    return e.shiftKey ? `Shift+${code}` : code;
+}
+
+/**
+ * Short name for a key, e.g. 'KeyW' -> 'W', 'Shift+ArrowUp' -> 'Shift+Up'
+ */
+export function keyLabel(key) {
+    const shift = key.startsWith('Shift+');
+    const code = shift ? key.slice('Shift+'.length) : key;
+    const label = KEY_LABELS[code] ?? code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+    return shift ? `Shift+${label}` : label;
+}
+
+/**
+ * Keys the game keeps for itself (function keys, Tab)
+ */
+export function isReservedKey(key) {
+    const code = key.replace(/^Shift\+/, '');
+    return /^F\d+$/.test(code) || code === 'Tab';
+}
+
+function isModifierKey(key) {
+    return MODIFIER_CODES.includes(key.replace(/^Shift\+/, ''));
+}
+
+function getActionLabel(action) {
+    return BINDABLE_ACTIONS.find((a) => a.action === action).label;
+}
+
+export class KeyBindings {
+    /**
+     * @param {Object} storage - Web Storage interface (default: localStorage, or memory under Node)
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.keys = this.load();
+    }
+
+    /**
+     * Bindings from storage, falling back to the defaults for any action
+     * missing or malformed; a key bound twice keeps its first action
+     */
+    load() {
+        const saved = readJson(this.storage, STORAGE_KEY, {}) ?? {};
+        const keys = {};
+        const used = new Set();
+
+        for (const { action } of BINDABLE_ACTIONS) {
+            const list = saved[action];
+            const valid = Array.isArray(list) && list.length <= MAX_KEYS &&
+                          list.every((key) => typeof key === 'string' && key !== '' && !isReservedKey(key));
+            keys[action] = (valid ? list : DEFAULT_BINDINGS[action]).filter((key) => !used.has(key));
+            keys[action].forEach((key) => used.add(key));
+        }
+        return keys;
+    }
+
+    save() {
+        writeJson(this.storage, STORAGE_KEY, this.keys);
+    }
+
+    /**
+     * Action a key press is bound to, or null
+     * (Shift+key bindings first, then the key without Shift)
+     */
+    getAction(e) {
+        const code = e.code || e.key;
+        return (e.shiftKey && this.findAction(`Shift+${code}`)) || this.findAction(code);
+    }
+
+    /**
+     * Every action a key is bound to with or without Shift (releasing
+     * Shift first mustn't leave a Shift+ binding held)
+     */
+    getActionsForCode(code) {
+        return [this.findAction(code), this.findAction(`Shift+${code}`)].filter(Boolean);
+    }
+
+    findAction(key) {
+        for (const { action } of BINDABLE_ACTIONS) {
+            if (this.keys[action].includes(key)) return action;
+        }
+        return null;
+    }
+
+    getKeys(action) {
+        return this.keys[action];
+    }
+
+    /**
+     * Keys for an action as text, e.g. '2 / W / Up' (or 'unbound')
+     * @param {number} max - Most keys to list
+     */
+    describe(action, max = MAX_KEYS) {
+        const keys = this.keys[action].slice(0, max);
+        return keys.length > 0 ? keys.map(keyLabel).join(' / ') : 'unbound';
+    }
+
+    /**
+     * Control hints for under the status panel
+     */
+    getHints() {
+        return [
+            `Press and hold ${this.describe('forward', 1)} to go forward`,
+            `${this.describe('backward', 1)} to go backward`,
+            this.keys.fire.length > 0 ? `Click or ${this.describe('fire', 1)} to fire` : 'Click to fire'
+        ];
+    }
+
+    /**
+     * Add a key to an action, taking it from any other action it was bound to
+     * (an action with MAX_KEYS keys already loses its first)
+     * @returns {string|null} The action the key was taken from
+     */
+    bind(action, key) {
+        if (isReservedKey(key)) {
+            throw new Error(`${keyLabel(key)} can't be bound`);
+        }
+        const previous = this.findAction(key);
+        if (previous === action) return null;
+
+        if (previous) {
+            this.keys[previous] = this.keys[previous].filter((k) => k !== key);
+        }
+        this.keys[action] = [...this.keys[action], key].slice(-MAX_KEYS);
+        this.save();
+        return previous;
+    }
+
+    clear(action) {
+        this.keys[action] = [];
+        this.save();
+    }
+
+    reset() {
+        this.keys = structuredClone(DEFAULT_BINDINGS);
+        this.save();
+    }
+}
+
+/**
+ * The controls screen: pick an action, then press a key for it. A key
+ * already bound elsewhere has to be pressed twice to move it.
+ */
+export class ControlsScreen {
+    /**
+     * @param {KeyBindings} bindings
+     */
+    constructor(bindings) {
+        this.bindings = bindings;
+        this.selected = 0;
+        this.capturing = false;     // Waiting for a key for the selected action
+        this.conflictKey = null;    // Key pressed once that's bound elsewhere
+        this.message = '';
+    }
+
+    get action() {
+        return BINDABLE_ACTIONS[this.selected].action;
+    }
+
+    /**
+     * @returns {boolean} False once the screen is done
+     */
+    handleKey(e) {
+        if (this.capturing) {
+            this.captureKey(keyFromEvent(e));
+            return true;
+        }
+
+        switch (e.key) {
+            case 'ArrowUp':
+                this.selected = (this.selected + BINDABLE_ACTIONS.length - 1) % BINDABLE_ACTIONS.length;
+                this.message = '';
+                break;
+            case 'ArrowDown':
+                this.selected = (this.selected + 1) % BINDABLE_ACTIONS.length;
+                this.message = '';
+                break;
+            case 'Enter':
+                this.capturing = true;
+                this.message = `Press a key for ${getActionLabel(this.action)} (F6 cancels)`;
+                break;
+            case 'Backspace':
+            case 'Delete':
+                this.bindings.clear(this.action);
+                this.message = `${getActionLabel(this.action)} cleared`;
+                break;
+            case 'd':
+            case 'D':
+                this.bindings.reset();
+                this.message = 'Default keys restored';
+                break;
+            case 'Escape':
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Stop waiting for a key (F6 while capturing)
+     */
+    cancelCapture() {
+        this.capturing = false;
+        this.conflictKey = null;
+        this.message = '';
+    }
+
+    captureKey(key) {
+        // Shift on its own is the start of a Shift+ key
+        if (isModifierKey(key)) return;
+
+        const label = keyLabel(key);
+        if (isReservedKey(key)) {
+            this.message = `${label} is kept for the game - press another key`;
+            return;
+        }
+
+        const other = this.bindings.findAction(key);
+        if (other && other !== this.action && key !== this.conflictKey) {
+            this.conflictKey = key;
+            this.message = `${label} is ${getActionLabel(other)} - press it again to move it here`;
+            return;
+        }
+
+        const taken = this.bindings.bind(this.action, key);
+        this.message = taken ? `${label} moved from ${getActionLabel(taken)}` : '';
+        this.capturing = false;
+        this.conflictKey = null;
+    }
+
+    /**
+     * Rows for Renderer.drawMenu
+     */
+    getRows() {
+        return BINDABLE_ACTIONS.map(({ action, label }, i) => ({
+            label,
+            value: this.capturing && i === this.selected ? '...' : this.bindings.describe(action)
+        }));
+    }
+
+    getHelp() {
+        return [
+            this.message || 'Up/Down: choose   Enter: add a key',
+            'Backspace: clear   D: defaults   Esc / F6: done'
+        ];
+    }
+}
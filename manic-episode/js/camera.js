@@ -0,0 +1,105 @@
+/*
+ * ZGraf Web - Camera
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// A viewpoint for projection.js: where the eyes are, how the view projects
+// (eyeToScreen, the original's field of view), how far apart the eyes are
+// and the visible depth range. The renderer draws through whichever camera
+// it was last given (Renderer.setCamera), so several views - the player's,
+// the intro's, an inset - can each have their own.
+//
+// World z wraps around the tunnel. Camera-relative z is the shortest way
+// round, -length/2..length/2, so objects past the seam project correctly
+// without moving them. A camera can also look back down -z (the rear view);
+// like a mirror, it keeps left on the left.
+
+// The game's tuned stereo settings, in place of the original's
+// (CONFIG.STEREO): wider eye separation, and everything pops out
+export const GAME_STEREO = { halfOffset: 380, screenPlaneZ: null };
+
+export class Camera {
+    /**
+     * @param {Object} options - Anything not given comes from CONFIG.STEREO / CONFIG.TUNNEL
+     * @param {number} options.eyeToScreen - Projection distance (larger = narrower field of view)
+     * @param {number} options.halfOffset - Half the distance between the eyes (world units)
+     * @param {number|null} options.screenPlaneZ - Depth that appears at screen depth (null = everything pops out)
+     * @param {number} options.near - Nearest visible relative z
+     * @param {number} options.far - Farthest visible relative z
+     * @param {number|null} options.wrapLength - Tunnel length z wraps at (null = no wrapping)
+     * @param {number} options.direction - 1 to look down +z (ahead), -1 to look down -z (behind)
+     */
+    constructor(options = {}) {
+        const stereo = CONFIG.STEREO;
+        const tunnel = CONFIG.TUNNEL;
+
+        this.x = 0;
+        this.y = 0;
+        this.z = 0;
+
+        this.eyeToScreen = options.eyeToScreen ?? stereo.eyeToScreen;
+        this.halfOffset = options.halfOffset ?? stereo.halfOffset;
+        this.screenPlaneZ = options.screenPlaneZ !== undefined ? options.screenPlaneZ : stereo.screenPlaneZ;
+        this.near = options.near ?? tunnel.near;
+        this.far = options.far ?? tunnel.far;
+        this.wrapLength = options.wrapLength !== undefined ? options.wrapLength : tunnel.length;
+        this.direction = options.direction ?? 1;
+
+        // Screen point the view centers on (null = middle of the canvas)
+        this.center = null;
+    }
+
+    setPosition(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    /**
+     * Depth of a world z in front of the camera, wrapped the shortest way round the tunnel
+     */
+    relativeZ(worldZ) {
+        let relZ = worldZ - this.z;
+        const len = this.wrapLength;
+        if (len) {
+            if (relZ > len / 2) relZ -= len;
+            else if (relZ < -len / 2) relZ += len;
+        }
+        return relZ * this.direction;
+    }
+
+    /**
+     * World point in camera space (camera at the origin looking down +z)
+     */
+    toCameraSpace(worldX, worldY, worldZ) {
+        return { x: worldX - this.x, y: worldY - this.y, z: this.relativeZ(worldZ) };
+    }
+
+    /**
+     * Horizontal eye offset for drawing one eye
+     * @param {string} eye - 'left', 'right' or anything else for the center (mono)
+     */
+    getEyeOffset(eye) {
+        if (eye === 'left') return this.halfOffset;
+        if (eye === 'right') return -this.halfOffset;
+        return 0;
+    }
+
+    /**
+     * Screen point the view centers on
+     */
+    getCenter() {
+        return this.center ?? { x: CONFIG.WIDTH / 2, y: CONFIG.HEIGHT / 2 };
+    }
+
+    /**
+     * Is a camera-relative depth within the visible range?
+     */
+    isVisibleDepth(relZ) {
+        return relZ > this.near && relZ <= this.far;
+    }
+}
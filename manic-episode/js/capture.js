@@ -0,0 +1,231 @@
+/*
+ * ZGraf Web - Screenshots and Recording
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+import { ZipWriter } from './zip.js';
+
+// Saves what Renderer.endFrame put on screen. Screenshots are the
+// composited frame, or each eye image (full size, before compositing) for
+// stereo pairs. Recordings are a WebM video (MediaRecorder) or a numbered
+// PNG sequence, saved as one ZIP archive (browsers block a page that starts
+// a download every frame).
+//
+// While recording, the game advances exactly one capture frame
+// (1000 / CONFIG.CAPTURE.fps ms) per frame captured, whatever the real
+// frame rate: PNG sequences wait for each frame to be encoded, and WebM
+// frames are taken on a steady wall-clock schedule since MediaRecorder
+// timestamps them as they arrive. Sound isn't recorded.
+
+export const RECORD_FORMATS = ['webm', 'frames'];
+
+// Most widely supported last
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// PNG sequence frames being encoded before the game waits for them
+const MAX_PENDING_FRAMES = 2;
+
+// How long a download's blob URL is kept (ms); revoking it straight after
+// the click can cancel the download in some browsers
+const REVOKE_DELAY = 60000;
+
+/**
+ * Save a blob as a file download
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
+
+function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    });
+}
+
+/**
+ * File name prefix with the date and time, e.g. manic-episode-2025-06-01-14-30-05
+ */
+function timestampName() {
+    return `manic-episode-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}`;
+}
+
+export class FrameCapture {
+    /**
+     * @param {Renderer} renderer - Source of the screen canvas and eye canvases
+     * @param {number} fps - Recording frame rate
+     */
+    constructor(renderer, fps = CONFIG.CAPTURE.fps) {
+        this.renderer = renderer;
+        this.fps = fps;
+
+        this.format = null;        // Recording format while recording (RECORD_FORMATS)
+        this.frameCount = 0;
+        this.baseName = null;
+
+        // WebM
+        this.recorder = null;
+        this.track = null;
+        this.chunks = [];
+        this.nextFrameTime = 0;
+
+        // PNG sequence: frames still being encoded, and the archive they go into
+        this.pendingFrames = new Set();
+        this.zip = null;
+    }
+
+    get recording() {
+        return this.format !== null;
+    }
+
+    /**
+     * Game time (ms) that passes per recorded frame
+     */
+    get frameInterval() {
+        return 1000 / this.fps;
+    }
+
+    /**
+     * Save the current frame as PNG
+     * @param {boolean} eyes - Save the left and right eye images instead of the composited frame
+     * @returns {Promise<number>} Number of files saved
+     */
+    async saveScreenshot(eyes = false) {
+        const name = timestampName();
+        const { renderer } = this;
+
+        if (!eyes) {
+            downloadBlob(await canvasToPng(renderer.canvas), `${name}.png`);
+            return 1;
+        }
+
+        const images = renderer.stereoEnabled
+            ? [[renderer.leftEyeCanvas, 'left'], [renderer.rightEyeCanvas, 'right']]
+            : [[renderer.leftEyeCanvas, 'mono']];
+        for (const [canvas, eye] of images) {
+            downloadBlob(await canvasToPng(canvas), `${name}-${eye}.png`);
+        }
+        return images.length;
+    }
+
+    /**
+     * Start recording
+     * @param {string} format - 'webm' or 'frames' (numbered PNGs)
+     * @param {number} now - Current rAF time (ms)
+     */
+    start(format, now) {
+        if (!RECORD_FORMATS.includes(format)) {
+            throw new Error(`Unknown recording format: ${format}`);
+        }
+        if (this.recording) {
+            throw new Error('Already recording');
+        }
+
+        if (format === 'webm') {
+            this.startWebm();
+        } else {
+            this.zip = new ZipWriter();
+        }
+
+        this.format = format;
+        this.frameCount = 0;
+        this.baseName = timestampName();
+        this.nextFrameTime = now;
+    }
+
+    startWebm() {
+        if (typeof MediaRecorder === 'undefined' || !this.renderer.canvas.captureStream) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+        const mimeType = WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('WebM recording is not supported in this browser');
+        }
+
+        // Frame rate 0: a frame is taken only when requested (captureFrame)
+        const stream = this.renderer.canvas.captureStream(0);
+        this.track = stream.getVideoTracks()[0];
+        this.chunks = [];
+        this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: CONFIG.CAPTURE.videoBitsPerSecond });
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        };
+        this.recorder.start();
+    }
+
+    /**
+     * Stop recording; the WebM or the ZIP of frames is downloaded once
+     * everything recorded has been encoded
+     * @returns {number} Frames recorded
+     */
+    stop() {
+        if (!this.recording) return 0;
+
+        if (this.format === 'webm') {
+            const { recorder, chunks, baseName } = this;
+            recorder.onstop = () => {
+                downloadBlob(new Blob(chunks, { type: recorder.mimeType }), `${baseName}.webm`);
+            };
+            recorder.stop();
+            this.track.stop();
+            this.recorder = null;
+            this.track = null;
+        } else {
+            const { zip, baseName } = this;
+            Promise.allSettled(this.pendingFrames).then(() => {
+                downloadBlob(zip.toBlob(), `${baseName}-frames.zip`);
+            });
+            this.zip = null;
+        }
+
+        this.format = null;
+        return this.frameCount;
+    }
+
+    /**
+     * Should the game step and draw a frame now? (Call once per rAF while recording)
+     * @param {number} now - rAF time (ms)
+     */
+    isFrameDue(now) {
+        if (this.format === 'frames') {
+            return this.pendingFrames.size < MAX_PENDING_FRAMES;
+        }
+
+        if (now < this.nextFrameTime) return false;
+
+        // Keep to the schedule, unless we've fallen a whole frame behind
+        this.nextFrameTime += this.frameInterval;
+        if (this.nextFrameTime <= now) {
+            this.nextFrameTime = now + this.frameInterval;
+        }
+        return true;
+    }
+
+    /**
+     * Record the frame just put on screen (call after Renderer.endFrame)
+     */
+    captureFrame() {
+        if (!this.recording) return;
+
+        this.frameCount++;
+        if (this.format === 'webm') {
+            this.track.requestFrame();
+            return;
+        }
+
+        const fileName = `${this.baseName}-${String(this.frameCount).padStart(5, '0')}.png`;
+        const { zip } = this;
+        const frame = canvasToPng(this.renderer.canvas)
+            .then((blob) => zip.add(fileName, blob))
+            .catch((e) => console.warn('Could not save frame:', e))
+            .finally(() => this.pendingFrames.delete(frame));
+        this.pendingFrames.add(frame);
+    }
+}
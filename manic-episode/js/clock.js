@@ -0,0 +1,65 @@
+/*
+ * ZGraf Web - Fixed-Step Simulation Clock
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// Length of one original frame in ms. Per-frame constants carried over from
+// the Mac source (accelStep, velocities, shot waits) are in these units.
+export const FRAME_MS = 1000 / CONFIG.TARGET_FPS;
+
+// Length of one simulation tick in ms
+export const TICK_MS = 1000 / CONFIG.TICK_RATE;
+
+/**
+ * Convert a tick duration (ms) to original-frame units
+ * Objects multiply their per-frame velocities by this
+ */
+export function frameScale(dt) {
+    return dt / FRAME_MS;
+}
+
+/**
+ * Fixed-timestep accumulator
+ * Real frame time from requestAnimationFrame is banked, then spent in whole
+ * TICK_MS steps so the simulation runs identically at 30, 60 or 144 Hz.
+ * The leftover fraction is returned for render interpolation.
+ */
+export class SimClock {
+    constructor(tickMs = TICK_MS, maxFrameTime = CONFIG.MAX_FRAME_TIME) {
+        this.tickMs = tickMs;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+        this.tickCount = 0;
+    }
+
+    /**
+     * Drop any banked time (call when (re)starting a loop)
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+
+    /**
+     * Bank elapsed real time and run whole simulation ticks
+     * @param {number} elapsed - Real time since last call (ms)
+     * @param {Function} step - Called with the tick length (ms) once per tick
+     * @returns {number} Interpolation alpha (0-1) between previous and current tick
+     */
+    advance(elapsed, step) {
+        // Clamp stalls (background tab, debugger) so objects don't teleport
+        // and we don't spiral trying to catch up
+        this.accumulator += Math.max(0, Math.min(elapsed, this.maxFrameTime));
+
+        while (this.accumulator >= this.tickMs) {
+            step(this.tickMs);
+            this.accumulator -= this.tickMs;
+            this.tickCount++;
+        }
+
+        return this.accumulator / this.tickMs;
+    }
+}
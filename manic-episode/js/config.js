@@ -35,7 +35,19 @@ export const CONFIG = {
         leftColor: 'rgb(0, 120, 255)',    // Blue-shifted cyan for left eye
         rightColor: 'rgb(255, 0, 0)',      // Red for right eye
         leftColorValues: { r: 0, g: 120, b: 255 },   // For dynamic shading
-        rightColorValues: { r: 255, g: 0, b: 0 }
+        rightColorValues: { r: 255, g: 0, b: 0 },
+        // How the two eye images are shown (see stereo.js): anaglyph, parallel,
+        // crossEyed, overUnder, interlaced, wiggle or mono; ?stereo=id in the URL overrides
+        output: 'anaglyph',
+        interlaceLeftFirst: true,   // Interlaced: left eye on even rows (top row = 0)
+        wiggleInterval: 120,        // Wiggle: ms each eye is shown
+        // Matrix anaglyph defaults (the calibration screen saves changes to localStorage)
+        anaglyph: {
+            glasses: 'redCyan',     // redCyan, greenMagenta or amberBlue
+            method: 'dubois',       // dubois, halfColor, optimized (red/cyan only) or gray
+            eyeColors: 'gray',      // gray (eyes in white) or color (HUD keeps its colors)
+            ghosting: { left: 0, right: 0 }  // Fraction of the other eye cancelled from each
+        }
     },
 
     // Global speed factor - scales all velocities for gameplay tuning
@@ -54,7 +66,11 @@ export const CONFIG = {
         near: 30,            // minVisDist from original
         far: 65000,          // maxVisDist - match tunnel length so objects always visible
         frameSpacing: 2000,  // rectGap from original
-        length: 65000        // Full tunnel wrap distance (matches original)
+        length: 65000,       // Full tunnel wrap distance (matches original)
+        // Rails (not in the original): lines running down the tunnel walls,
+        // a depth cue for mono play
+        rails: 0,            // Lines along each wall, evenly spaced between the corners
+        railCorners: false   // Lines along the four corners too
     },
 
     // Player settings (from Player.c IPlayerClass)
@@ -64,11 +80,39 @@ export const CONFIG = {
         accelStep: 3.0,       // Acceleration per frame (Fixed 3.0)
         maxSpeed: 500,        // speedLimit from original
         slowFactor: 0.95,     // Deceleration factor when not pressing keys
-        mouseSensitivity: 4,
+        // Pointer lock aiming (not in the original, see pointerlock.js)
+        pointerLock: false,   // Relative mouse aiming (also ?pointerlock in the URL)
+        mouseSensitivity: 4,  // Aim movement per mouse count
+        mouseInvertY: false,  // Mouse forward moves the aim down
+        mouseSmoothing: 0,    // 0 (raw) to 0.9 (smoothest)
         shotSpeed: 500,       // PShot inherits player zVel + offset
         shotCooldown: 100,    // ms between shots (rough estimate)
         startEnergy: 100,     // kMaxEnergy
-        startLives: 3
+        startLives: 3,
+        extraLifeScores: [10000, 30000, 60000],  // Extra life at each score...
+        extraLifeEvery: 50000,                   // ...then every this many points
+        invulnerableTime: 2000  // ms of invulnerability after respawning
+    },
+
+    // Gamepads (standard mapping, see gamepad.js): the left stick steers the
+    // aim at a speed rather than placing it like the mouse does
+    GAMEPAD: {
+        deadZone: 0.15,         // Stick deflection ignored around center (0-1)
+        aimSpeed: 48000,        // Tunnel units/s the aim moves at full deflection
+        triggerDeadZone: 0.2    // Trigger travel ignored before thrust starts (0-1)
+    },
+
+    // Touch screens (see touch.js): drag in the game view to aim, on-screen
+    // buttons to thrust, fire and pause
+    TOUCH: {
+        dragSensitivity: 1.5,   // Tunnel widths the aim moves per game view width dragged
+        buttonSize: 0.09,       // Button radius as a fraction of the smaller screen dimension
+        minButtonRadius: 28,    // px
+        maxButtonRadius: 64,    // px
+        margin: 16,             // px between buttons, and to the screen edges
+        opacity: 0.5,
+        tapTime: 250,           // A touch shorter than this (ms)...
+        tapDistance: 12         // ...that moves less than this (px) is a tap: fire, start, unpause
     },
 
     // Enemy settings (from respective .c files)
@@ -92,9 +136,21 @@ export const CONFIG = {
             points: 0             // Aphids don't give score in original
         },
         blocker: {
-            // Blockers are stationary bars spanning tunnel
+            // Blockers are stationary bars spanning tunnel - solid obstacles
+            thick: 50,            // Z thickness
+            bounce: 0.5,          // Fraction of player speed kept when bouncing off
+            minBounce: 20,        // Minimum rebound speed (per frame, before SPEED_FACTOR)
             points: 0
         },
+        grabber: {
+            // Grabbers home in on the player and latch on until shot off
+            trackDistance: 12000, // Start homing when this far ahead of the player
+            trackSpeed: 40,       // x/y homing speed (per frame, before SPEED_FACTOR)
+            latchDistance: 5000,  // Rides this far in front of the player while latched
+            drainInterval: 30,    // Frames per energy unit drained while latched
+            drag: 0.96,           // Player speed multiplier per frame while latched
+            points: 600
+        },
         thing: {
             // Things are stationary power-ups
             energyBonus: 40,     // DeltaEnergy from Thing.c
@@ -129,7 +185,33 @@ export const CONFIG = {
         energyTop: 219,       // kTopEnergy
         energyRight: 137,     // kRightEnergy
         energyBottom: 225,    // kBottomEnergy
-        maxEnergy: 81         // kMaxEnergy - max width of energy bar
+        maxEnergy: 81,        // kMaxEnergy - max width of energy bar
+        // Lives (not in the original, which had no lives) - ship icons below the energy scale
+        yLives: 258
+    },
+
+    // Rear-view inset (not in the original) - top right of the game view,
+    // as wide as the status panel, toggled with M
+    REAR_VIEW: {
+        aspect: 0.5,         // Height as a fraction of width
+        margin: 10           // Pixels from the game view's top and right edges
+    },
+
+    // Canvas resolution - see resolution.js
+    RENDER: {
+        scale: 1,            // Times devicePixelRatio (?scale=N in the URL overrides)
+        minScale: 0.5,
+        maxScale: 2,
+        dynamic: true,       // Lower the scale while frames are slow to draw
+        frameBudgetMs: 12,   // Drawing time per frame before the scale drops
+        step: 0.1,           // Scale change per adjustment
+        adjustInterval: 1000 // Minimum ms between adjustments
+    },
+
+    // Screenshots and recording (F7, F10) - see capture.js
+    CAPTURE: {
+        fps: 30,                      // Recorded frames per second of game time
+        videoBitsPerSecond: 8000000   // WebM quality
     },
 
     // Visual settings
@@ -145,6 +227,25 @@ export const CONFIG = {
         explosion: 1.0
     },
 
+    // Depth cues (not in the original) - everything 3D is shaded by its
+    // distance from the camera, see depthcue.js. The default is the fade the
+    // tunnel frames have always had, now on objects too.
+    DEPTH_CUE: {
+        mode: 'shade',       // 'off', 'shade' (darker with distance) or 'fog' (fades toward fogShade)
+        curve: 'linear',     // linear, quadratic, sqrt or exponential
+        start: 0,            // Relative z where fading starts
+        end: 65000,          // ...and where it has faded by amount
+        amount: 0.8,         // 0-1
+        fogShade: 0.15       // Fog mode: the haze everything fades into
+    },
+
     // Timing
-    TARGET_FPS: 60
+    // TARGET_FPS is the frame rate the original per-frame constants assume
+    TARGET_FPS: 60,
+    // Fixed simulation rate - gameplay always steps at this rate regardless
+    // of display refresh; rendering interpolates between ticks
+    TICK_RATE: 60,
+    // Longest real frame time fed to the simulation (ms) - a stalled tab
+    // resumes where it left off instead of jumping objects through each other
+    MAX_FRAME_TIME: 250
 };
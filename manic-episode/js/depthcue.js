@@ -0,0 +1,65 @@
+/*
+ * ZGraf Web - Depth Cues
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// Not in the original, which relied on stereo. Every 3D primitive's shade
+// is adjusted by its depth in front of the camera, so distance reads in
+// mono too:
+//   shade - darker with distance (fades into the black background)
+//   fog   - fades toward a fixed haze shade
+// How fast it fades between start and end depth is a curve of t (0-1).
+
+export const DEPTH_CUE_MODES = ['off', 'shade', 'fog'];
+
+export const DEPTH_CURVES = {
+    linear: (t) => t,
+    quadratic: (t) => t * t,                                 // Clear close up, fades late
+    sqrt: (t) => Math.sqrt(t),                               // Fades early
+    exponential: (t) => (1 - Math.exp(-4 * t)) / (1 - Math.exp(-4))   // Like real fog
+};
+
+export class DepthCue {
+    /**
+     * @param {Object} settings - Anything not given comes from CONFIG.DEPTH_CUE
+     * @param {string} settings.mode - 'off', 'shade' or 'fog'
+     * @param {string} settings.curve - Name in DEPTH_CURVES
+     * @param {number} settings.start - Relative z where fading starts
+     * @param {number} settings.end - Relative z where it reaches amount
+     * @param {number} settings.amount - How far it fades by end (0-1)
+     * @param {number} settings.fogShade - Shade fog fades toward (0-1)
+     */
+    constructor(settings = {}) {
+        this.settings = { ...CONFIG.DEPTH_CUE, ...settings };
+        const { mode, curve, start, end } = this.settings;
+
+        if (!DEPTH_CUE_MODES.includes(mode)) {
+            throw new Error(`Unknown depth cue mode: ${mode}`);
+        }
+        if (!DEPTH_CURVES[curve]) {
+            throw new Error(`Unknown depth cue curve: ${curve}`);
+        }
+        if (!(end > start)) {
+            throw new Error('Depth cue end must be beyond start');
+        }
+        this.curve = DEPTH_CURVES[curve];
+    }
+
+    /**
+     * Shade of a primitive at a depth
+     * @param {number} shade - Its own shade (0-1)
+     * @param {number} relZ - Depth in front of the camera
+     */
+    apply(shade, relZ) {
+        const { mode, start, end, amount, fogShade } = this.settings;
+        if (mode === 'off') return shade;
+
+        const t = Math.max(0, Math.min(1, (relZ - start) / (end - start)));
+        const fade = amount * this.curve(t);
+        return mode === 'fog' ? shade + (fogShade - shade) * fade : shade * (1 - fade);
+    }
+}
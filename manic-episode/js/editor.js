@@ -0,0 +1,357 @@
+/*
+ * ZGraf Web - Level Editor
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+import { rng, deriveSeed } from './random.js';
+import { LEVEL_FORMAT, LEVEL_VERSION, validateLevel } from './levels.js';
+
+// Edits one level definition (see levels.js) with a live preview in the
+// tunnel. The player flies with gameplay paused; objects are placed, moved
+// and deleted at the crosshair depth. Spawn entries that aren't a single
+// object at a fixed spot (aphids, swarms, random groups) are previewed and
+// exported unchanged but can't be edited here.
+
+// Object types that can be placed
+export const EDITABLE_TYPES = ['cross', 'saucer', 'blocker', 'grabber', 'thing'];
+
+const POSITION_KEYS = ['x', 'y', 'z'];
+const VELOCITY_AXES = ['vx', 'vy', 'vz'];
+const FIELDS = [...POSITION_KEYS, ...VELOCITY_AXES];
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Can this spawn entry be edited as a single object?
+ */
+function isEditableEntry(entry) {
+    return EDITABLE_TYPES.includes(entry.type) &&
+           (entry.count === undefined || entry.count === 1) &&
+           POSITION_KEYS.every((key) => isNumber(entry[key])) &&
+           VELOCITY_AXES.every((key) => entry[key] === undefined || isNumber(entry[key])) &&
+           (entry.width === undefined || isNumber(entry.width));
+}
+
+/**
+ * Wrap a tunnel z position into 0..length
+ */
+function wrapZ(z) {
+    const len = CONFIG.TUNNEL.length;
+    return ((z % len) + len) % len;
+}
+
+export class LevelEditor {
+    /**
+     * @param {Simulation} sim - Simulation to preview in (its tunnel is cleared)
+     * @param {number} levelNum - Level to edit (0 = attract mode)
+     */
+    constructor(sim, levelNum) {
+        this.sim = sim;
+        this.game = sim.game;
+        this.tunnel = sim.tunnel;
+        this.player = sim.player;
+
+        // Distance ahead of the player that objects are placed/picked at
+        // (main.js sets this from the renderer's crosshair depth)
+        this.depth = 1000;
+
+        this.selected = null;       // Selected entry (an editable one)
+        this.grabbing = false;      // Selected entry follows the crosshairs
+        this.velocityAxis = 'vz';   // Velocity component edited by adjustVelocity
+        this.previewing = false;    // Objects move (from their edited positions)
+
+        this.load(levelNum);
+    }
+
+    /**
+     * Start editing a level from the game's level set (the level being
+     * left keeps its edits there, as when the editor is closed)
+     */
+    load(levelNum) {
+        if (this.entries) {
+            this.game.levels.set(this.levelNum, this.toLevel());
+        }
+        const def = this.game.levels.get(levelNum);
+
+        this.levelNum = levelNum;
+        this.header = {
+            name: def.name,
+            description: def.description,
+            energyDrainInterval: def.energyDrainInterval,
+            win: def.win
+        };
+
+        // Every spawn entry in order; editable ones get the object previewing them
+        this.entries = def.spawn.map((spec) => ({
+            spec: { ...spec },
+            editable: isEditableEntry(spec),
+            vis: null
+        }));
+
+        this.selected = null;
+        this.grabbing = false;
+        this.previewing = false;
+
+        this.player.reset();
+        this.game.level = levelNum;
+        this.rebuild();
+    }
+
+    /**
+     * Re-create every preview object from the level data
+     * Non-editable entries get the same layout each time (rng is reseeded)
+     */
+    rebuild() {
+        rng.setSeed(deriveSeed(this.game.seed, this.levelNum));
+        this.tunnel.clear();
+
+        for (const entry of this.entries) {
+            if (entry.editable) {
+                entry.vis = this.spawn(entry.spec);
+            } else {
+                const first = this.tunnel.objects.length;
+                this.game.spawnLevel({ spawn: [entry.spec] }, this.levelNum);
+                this.tunnel.objects.slice(first).forEach((obj) => this.skipFormation(obj));
+            }
+        }
+    }
+
+    /**
+     * Add the preview object for one editable entry
+     */
+    spawn(spec) {
+        this.game.spawnObject(spec, this.levelNum);
+        const vis = this.tunnel.objects[this.tunnel.objects.length - 1];
+        this.skipFormation(vis);
+
+        // Pin down blocker widths picked at random so the export matches the preview
+        if (spec.type === 'blocker' && spec.width === undefined) {
+            spec.width = Math.round(vis.barWidth);
+        }
+        return vis;
+    }
+
+    /**
+     * Objects appear fully formed in the editor
+     */
+    skipFormation(obj) {
+        obj.isForming = false;
+        obj.expl = null;
+    }
+
+    /**
+     * Replace an entry's preview object after its data changed
+     */
+    refresh(entry) {
+        if (entry.vis) {
+            this.tunnel.removeObject(entry.vis);
+        }
+        entry.vis = this.spawn(entry.spec);
+    }
+
+    /**
+     * Tunnel point under the crosshairs, at the placement depth
+     */
+    getCursor() {
+        return { x: this.player.x, y: this.player.y, z: wrapZ(this.player.z + this.depth) };
+    }
+
+    /**
+     * Place a new object at the crosshairs and select it
+     * @param {string} type - One of EDITABLE_TYPES
+     */
+    place(type) {
+        if (!EDITABLE_TYPES.includes(type)) {
+            throw new Error(`Can't place object type "${type}"`);
+        }
+
+        const cursor = this.getCursor();
+        const spec = { type, x: Math.round(cursor.x), y: Math.round(cursor.y), z: Math.round(cursor.z) };
+        if (type === 'blocker') {
+            spec.horizontal = true;
+        }
+
+        const entry = { spec, editable: true, vis: null };
+        this.entries.push(entry);
+        this.refresh(entry);
+        this.select(entry);
+    }
+
+    select(entry) {
+        this.selected = entry;
+        this.grabbing = false;
+    }
+
+    /**
+     * Editable entries, nearest the crosshairs first
+     */
+    getEditableByDistance() {
+        const cursor = this.getCursor();
+        const len = CONFIG.TUNNEL.length;
+        const distance = ({ spec }) => {
+            let dz = Math.abs(spec.z - cursor.z);
+            dz = Math.min(dz, len - dz);
+            return Math.hypot(spec.x - cursor.x, spec.y - cursor.y, dz);
+        };
+
+        return this.entries
+            .filter((entry) => entry.editable)
+            .map((entry) => ({ entry, dist: distance(entry) }))
+            .sort((a, b) => a.dist - b.dist)
+            .map(({ entry }) => entry);
+    }
+
+    /**
+     * Select the object nearest the crosshairs
+     */
+    selectNearest() {
+        this.select(this.getEditableByDistance()[0] ?? null);
+    }
+
+    /**
+     * Select the next object, in order of distance from the crosshairs
+     */
+    selectNext() {
+        const entries = this.getEditableByDistance();
+        if (entries.length === 0) return;
+
+        const index = entries.indexOf(this.selected);
+        this.select(entries[(index + 1) % entries.length]);
+    }
+
+    /**
+     * Start/stop moving the selected object with the crosshairs
+     */
+    toggleGrab() {
+        if (!this.selected || this.previewing) return;
+        this.grabbing = !this.grabbing;
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+
+        this.tunnel.removeObject(this.selected.vis);
+        this.entries.splice(this.entries.indexOf(this.selected), 1);
+        this.selected = null;
+        this.grabbing = false;
+    }
+
+    /**
+     * Change one velocity component of the selected object
+     * @param {number} delta - Change in tunnel units per original frame
+     */
+    adjustVelocity(delta) {
+        if (!this.selected) return;
+
+        const spec = this.selected.spec;
+        spec[this.velocityAxis] = (spec[this.velocityAxis] ?? 0) + delta;
+        this.refresh(this.selected);
+    }
+
+    /**
+     * Stop the selected object
+     */
+    clearVelocity() {
+        if (!this.selected) return;
+
+        for (const axis of VELOCITY_AXES) {
+            delete this.selected.spec[axis];
+        }
+        this.refresh(this.selected);
+    }
+
+    setVelocityAxis(axis) {
+        if (VELOCITY_AXES.includes(axis)) {
+            this.velocityAxis = axis;
+        }
+    }
+
+    /**
+     * Switch the selected blocker between horizontal and vertical
+     */
+    toggleHorizontal() {
+        if (!this.selected || this.selected.spec.type !== 'blocker') return;
+
+        this.selected.spec.horizontal = !(this.selected.spec.horizontal ?? true);
+        this.refresh(this.selected);
+    }
+
+    /**
+     * Let objects move (to check velocities); turning it off puts them back
+     */
+    togglePreview() {
+        this.previewing = !this.previewing;
+        this.grabbing = false;
+        if (!this.previewing) {
+            this.rebuild();
+        }
+    }
+
+    /**
+     * One simulation tick: fly the player, carry a grabbed object, and
+     * move objects if previewing (no collisions, energy or scoring)
+     */
+    update(dt) {
+        const input = this.sim.input;
+        const player = this.player;
+
+        if (input.aimX !== null && input.aimY !== null) {
+            player.setAim(input.aimX, input.aimY);
+        }
+        player.moveForward = input.forward;
+        player.moveBackward = input.backward;
+        input.fire = false;  // No shooting in the editor
+
+        player.update(dt);
+
+        if (this.grabbing && this.selected) {
+            const cursor = this.getCursor();
+            const spec = this.selected.spec;
+            const x = Math.round(cursor.x);
+            const y = Math.round(cursor.y);
+            const z = Math.round(cursor.z);
+
+            // Only respawn the object when it has actually moved
+            if (x !== spec.x || y !== spec.y || z !== spec.z) {
+                Object.assign(spec, { x, y, z });
+                this.refresh(this.selected);
+            }
+        }
+
+        if (this.previewing) {
+            this.tunnel.processObjects(dt);
+        }
+    }
+
+    /**
+     * Short description of the selection, for the editor HUD
+     */
+    describeSelected() {
+        if (!this.selected) return null;
+
+        const spec = this.selected.spec;
+        const parts = FIELDS.map((key) => `${key} ${Math.round(spec[key] ?? 0)}`);
+        if (spec.type === 'blocker') {
+            parts.push((spec.horizontal ?? true) ? 'horizontal' : 'vertical');
+        }
+        return `${spec.type}: ${parts.join('  ')}`;
+    }
+
+    /**
+     * The edited level as level file data (validated)
+     */
+    toLevel() {
+        const level = { format: LEVEL_FORMAT, version: LEVEL_VERSION };
+        for (const [key, value] of Object.entries(this.header)) {
+            if (value !== undefined) {
+                level[key] = value;
+            }
+        }
+        level.spawn = this.entries.map(({ spec }) => ({ ...spec }));
+
+        return validateLevel(level, `level ${this.levelNum}`);
+    }
+}
@@ -13,20 +13,13 @@ import { Blocker } from './objects/blocker.js';
 import { Thing } from './objects/thing.js';
 import { Grabber } from './objects/grabber.js';
 import { audio } from './audio.js';
+import { frameScale } from './clock.js';
+import { rng, deriveSeed } from './random.js';
+import { resolveValue } from './levels.js';
 
 // Constants from original Game.c/Game.h
 const kDemoLevel = 0;  // Attract mode / demo level
-const GAME_OVER_DURATION = 7000;  // 7 seconds (from original: ticksInGameOver = 7 * 60)
-
-// Helper: random integer in range [min, max]
-function randInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-// Helper: random float in range [min, max]
-function randFloat(min, max) {
-    return min + Math.random() * (max - min);
-}
+export const GAME_OVER_DURATION = 7000;  // 7 seconds (from original: ticksInGameOver = 7 * 60)
 
 export class Game {
     constructor(tunnel, player) {
@@ -35,176 +28,149 @@ export class Game {
 
         this.level = kDemoLevel;
         this.isGameOver = false;
+
+        // Game seed - each level reseeds the shared rng from this, so a
+        // (seed, level) pair always produces the same layout
+        this.seed = 0;
         this.gameOverTime = 0;
 
+        // Game speed the level's objects are made at (set by Simulation per game)
+        this.speedFactor = CONFIG.SPEED_FACTOR;
+
         // Track time spent in attract mode (for flashing text)
         this.attractModeTime = 0;
 
+        // Playing a recorded demo game as part of attract mode
+        this.isDemo = false;
+
         // Track live objects for level completion
         this.numLiveObjs = 0;
 
         // Energy drain timing (from original: ticksPerEnergyUnit)
         this.energyDrainInterval = 100; // ticks (frames) per energy unit
         this.energyDrainAccum = 0;
+
+        // Level definitions (LevelSet from levels.js) and the current level's win condition
+        this.levels = null;
+        this.winCondition = 'clear';
+        this.levelTime = 0;       // ms spent in the current level
+        this.surviveTime = 0;     // ms to survive for a 'survive' win condition
     }
 
     /**
-     * Check if we're in attract/demo mode (level 0)
+     * Check if we're in attract mode (level 0, or a recorded demo game)
      */
     isAttractMode() {
-        return this.level === kDemoLevel;
+        return this.level === kDemoLevel || this.isDemo;
     }
 
     startLevel(levelNum) {
+        rng.setSeed(deriveSeed(this.seed, levelNum));
+
         this.level = levelNum;
         this.numLiveObjs = 0;
         this.energyDrainAccum = 0;
-        this.attractModeTime = 0;
+        // Demos keep flashing "press to play" on the same cycle across levels
+        if (!this.isDemo) {
+            this.attractModeTime = 0;
+        }
 
         // Clear existing objects
         this.tunnel.clear();
 
-        const { left, right, top, bottom, length } = CONFIG.TUNNEL;
-
-        if (levelNum === kDemoLevel) {
-            // === ATTRACT MODE (from original Game.c) ===
-            // 100-150 aphids randomly placed
-            const numAphids = randInt(100, 150);
-            for (let i = 0; i < numAphids; i++) {
-                this.addAphid();
-            }
-            // Reset player position for attract mode viewing
-            this.player.reset();
-            return;
+        if (!this.levels) {
+            throw new Error('No levels loaded (see levels.js)');
         }
+        const def = this.levels.get(levelNum);
 
-        if (levelNum === 1) {
-            // === LEVEL 1 (from original Game.c) ===
-            // Positions scaled 2x to match web tunnel size (±32000 vs original ±16384)
-            // Original negative Z values wrap to: length + (Z × 2)
+        // Energy drains faster on higher levels (from original: ticksPerEnergyUnit)
+        this.energyDrainInterval = def.energyDrainInterval !== undefined
+            ? resolveValue(def.energyDrainInterval, levelNum)
+            : 100;
 
-            // Energy drain rate for level 1
-            this.energyDrainInterval = 100;
+        this.spawnLevel(def, levelNum);
 
-            // 12-25 aphids randomly placed
-            const numAphids = randInt(12, 25);
-            for (let i = 0; i < numAphids; i++) {
-                this.addAphid();
-            }
+        // Win condition - clear all enemies unless the level says otherwise
+        this.winCondition = def.win ? def.win.type : 'clear';
+        this.levelTime = 0;
+        this.surviveTime = this.winCondition === 'survive'
+            ? resolveValue(def.win.seconds, levelNum) * 1000
+            : 0;
 
-            // 1 Thing at (6000, 200, -8000) - behind player, wraps to 49000
-            this.addThing(12000, 400, 49000);
-
-            // 4 Crosses approaching from far away (vz = -30 toward player)
-            this.addCross(0, 0, 32000, 0, 0, -30);
-            this.addCross(0, 0, 30000, 0, 0, -30);
-            this.addCross(0, 0, 28000, 0, 0, -30);
-            this.addCross(0, 0, 26000, 0, 0, -30);
-
-            // 1 Saucer approaching
-            this.addSaucer(0, 0, 24400, 0, 0, -30);
-
-            // 1 Saucer stationary off to the side
-            this.addSaucer(-30000, 18400, 13000, 0, 0, 0);
-
-            // Stationary crosses - positive Z (ahead of player)
-            this.addCross(19000, 24200, 10000, 0, 0, 0);
-            this.addCross(24642, -1600, 2400, 0, 0, 0);
-            this.addCross(-4000, 2000, 3840, 0, 0, 0);
-            this.addCross(3000, -8000, 5058, 0, 0, 0);
-            this.addCross(-9198, -6000, 4600, 0, 0, 0);
-
-            // Stationary crosses - originally negative Z (behind player)
-            // Original -3230 → 65000 - 6460 = 58540
-            this.addCross(80, 1400, 58540, 0, 0, 0);
-            // Original -7700 → 65000 - 15400 = 49600
-            this.addCross(2000, 11602, 49600, 0, 0, 0);
-            // Original -12000 → 65000 - 24000 = 41000
-            this.addCross(0, 0, 41000, 0, 0, 0);
-            // Original -14000 → 65000 - 28000 = 37000
-            this.addCross(-4000, 10000, 37000, 0, 0, 0);
-
-            // Add aphid swarms: 1 swarm per level (50 aphids each)
-            // (experimental - level 1 gets 1 swarm, level 2 gets 2, etc.)
-            for (let i = 0; i < levelNum; i++) {
-                this.addAphidSwarm(50);
-            }
+        if (levelNum === kDemoLevel) {
+            // Reset player position for attract mode viewing
+            this.player.reset();
+        }
+    }
 
-        } else {
-            // === LEVEL 2+ (from original Game.c) ===
-
-            // Energy drains faster on higher levels
-            this.energyDrainInterval = Math.max(20, 100 - 10 * (levelNum - 1));
-
-            // Saucer velocity scaling by level
-            // X/Y: interpolate from 0.5 (level 1) to 1.0 (level 6)
-            const saucerXYScale = Math.min(1.0, 0.5 + (levelNum - 1) * 0.1);
-            const saucerMaxXY = Math.round(100 * saucerXYScale);
-            // Z: interpolate from 0.5 (level 1) to 1.0 (level 3)
-            const saucerZScale = Math.min(1.0, 0.5 + (levelNum - 1) * 0.25);
-
-            // Number of crosses/saucers: (level + 1) * 4
-            const numAdding = (levelNum + 1) * 4;
-
-            for (let i = 1; i < numAdding; i++) {
-                // 50% cross, 50% saucer
-                if (Math.random() > 0.5) {
-                    // Cross with random velocities ±100
-                    this.addCross(
-                        randFloat(left, right),
-                        randFloat(top, bottom),
-                        randFloat(0, length),
-                        randInt(-100, 100),
-                        randInt(-100, 100),
-                        randInt(-100, 100)
-                    );
-                } else {
-                    // Saucer with random velocities
-                    // x/y velocity scaled by level, z velocity scaled by level (maxes at level 3)
-                    const zMin = Math.round(200 * saucerZScale);
-                    const zMax = Math.round(400 * saucerZScale);
-                    let zVel = randInt(zMin, zMax);
-                    if (Math.random() > 0.5) zVel = -zVel;
-
-                    this.addSaucer(
-                        randFloat(left, right),
-                        randFloat(top, bottom),
-                        randFloat(0, length),
-                        randInt(-saucerMaxXY, saucerMaxXY),
-                        randInt(-saucerMaxXY, saucerMaxXY),
-                        zVel
-                    );
-                }
-            }
+    /**
+     * Set the level definitions used by startLevel
+     * @param {LevelSet} levels - From levels.js
+     */
+    setLevels(levels) {
+        this.levels = levels;
+    }
 
-            // Add Things for refueling: 1 per 12 enemies
-            const numThings = Math.floor(numAdding / 12);
-            for (let i = 1; i <= numThings; i++) {
-                this.addThing(
-                    randFloat(left, right),
-                    randFloat(top, bottom),
-                    randFloat(0, length)
-                );
+    /**
+     * Add every object listed in a level definition, in order
+     * (random values draw from rng, so the order is part of the layout)
+     */
+    spawnLevel(def, levelNum) {
+        for (const entry of def.spawn) {
+            const count = entry.count !== undefined ? resolveValue(entry.count, levelNum) : 1;
+            for (let i = 0; i < count; i++) {
+                const spec = entry.oneOf
+                    ? entry.oneOf[Math.floor(rng.next() * entry.oneOf.length)]
+                    : entry;
+                this.spawnObject(spec, levelNum);
             }
+        }
+    }
 
-            // Add aphids: 3 + level/3
-            const numAphids = 3 + Math.floor(levelNum / 3);
-            for (let i = 1; i <= numAphids; i++) {
-                this.addAphid();
-            }
+    /**
+     * Add one object from a level spawn entry
+     */
+    spawnObject(spec, levelNum) {
+        const value = (key, fallback) => resolveValue(spec[key] ?? fallback, levelNum, key);
+        const x = value('x', 'random');
+        const y = value('y', 'random');
+        const z = value('z', 'random');
+
+        const ai = {};
+        for (const [key, aiValue] of Object.entries(spec.ai || {})) {
+            ai[key] = resolveValue(aiValue, levelNum);
+        }
 
-            // Add aphid swarms: 1 swarm per level (50 aphids each)
-            // (experimental - level 2 gets 2 swarms, level 3 gets 3, etc.)
-            for (let i = 0; i < levelNum; i++) {
-                this.addAphidSwarm(50);
-            }
+        switch (spec.type) {
+            case 'cross':
+                this.addCross(x, y, z, value('vx', 0), value('vy', 0), value('vz', 0));
+                break;
+            case 'saucer':
+                this.addSaucer(x, y, z, value('vx', 0), value('vy', 0), value('vz', 0), ai);
+                break;
+            case 'grabber':
+                this.addGrabber(x, y, z, value('vx', 0), value('vy', 0), value('vz', 0));
+                break;
+            case 'aphid':
+                this.addAphid(x, y, z, ai);
+                break;
+            case 'thing':
+                this.addThing(x, y, z);
+                break;
+            case 'blocker':
+                this.addBlocker(x, y, z, spec.horizontal ?? true,
+                                spec.width !== undefined ? value('width') : null);
+                break;
+            case 'swarm':
+                this.addAphidSwarm(value('size', 50), { x, y, z });
+                break;
         }
     }
 
     // Add methods matching original AddCross, AddSaucer, etc.
-    // Velocities are scaled by SPEED_FACTOR for gameplay tuning
+    // Velocities are scaled by the game speed (speedFactor) for gameplay tuning
     addCross(x, y, z, vx, vy, vz) {
-        const sf = CONFIG.SPEED_FACTOR;
+        const sf = this.speedFactor;
         const cross = new Cross(x, y, z);
         cross.vx = vx * sf;
         cross.vy = vy * sf;
@@ -213,25 +179,28 @@ export class Game {
         this.numLiveObjs++;
     }
 
-    addSaucer(x, y, z, vx, vy, vz) {
-        const sf = CONFIG.SPEED_FACTOR;
-        const saucer = new Saucer(x, y, z);
+    /**
+     * @param {Object} ai - Optional {maxXYSpeed, shootDistance, shotWait} overrides
+     */
+    addSaucer(x, y, z, vx, vy, vz, ai = {}) {
+        const sf = this.speedFactor;
+        const saucer = new Saucer(x, y, z, sf);
         saucer.vx = vx * sf;
         saucer.vy = vy * sf;
         saucer.vz = vz * sf;
 
-        // Set max x/y speed based on level
-        // Interpolate from 0.5 (level 1) to 1.0 (level 6)
-        const saucerXYScale = Math.min(1.0, 0.5 + (this.level - 1) * 0.1);
-        saucer.maxXYSpeed = 100 * saucerXYScale * sf;
+        // Max x/y speed scales with level (set in the level data)
+        if (ai.maxXYSpeed !== undefined) saucer.maxXYSpeed = ai.maxXYSpeed * sf;
+        if (ai.shootDistance !== undefined) saucer.fShootDistance = ai.shootDistance;
+        if (ai.shotWait !== undefined) saucer.fShotWait = ai.shotWait;
 
         this.tunnel.addObject(saucer);
         this.numLiveObjs++;
     }
 
     addGrabber(x, y, z, vx, vy, vz) {
-        const sf = CONFIG.SPEED_FACTOR;
-        const grabber = new Grabber(x, y, z);
+        const sf = this.speedFactor;
+        const grabber = new Grabber(x, y, z, sf);
         grabber.vx = vx * sf;
         grabber.vy = vy * sf;
         grabber.vz = vz * sf;
@@ -239,13 +208,14 @@ export class Game {
         this.numLiveObjs++;
     }
 
-    addAphid() {
-        const { left, right, top, bottom, length } = CONFIG.TUNNEL;
-        const aphid = new Aphid(
-            randFloat(left, right),
-            randFloat(top, bottom),
-            randFloat(0, length)
-        );
+    /**
+     * @param {Object} ai - Optional {maxVelocity, maxAxisVelocity} overrides
+     */
+    addAphid(x, y, z, ai = {}) {
+        const sf = this.speedFactor;
+        const aphid = new Aphid(x, y, z, sf);
+        if (ai.maxVelocity !== undefined) aphid.maxVelocity = ai.maxVelocity * sf;
+        if (ai.maxAxisVelocity !== undefined) aphid.maxAxisVelocity = ai.maxAxisVelocity * sf;
         this.tunnel.addObject(aphid);
         // Aphids don't count toward numLiveObjs in original
     }
@@ -256,23 +226,24 @@ export class Game {
         // Things don't count toward level completion
     }
 
-    addBlocker(x, y, z) {
-        const blocker = new Blocker(x, y, z);
+    addBlocker(x, y, z, isHorz = true, width = null) {
+        const blocker = new Blocker(x, y, z, isHorz, width);
         this.tunnel.addObject(blocker);
-        this.numLiveObjs++;
+        // Blockers are obstacles - they don't count toward level completion
     }
 
     /**
-     * Spawn a swarm of aphids around a random center point
+     * Spawn a swarm of aphids around a center point
      * @param {number} count - Number of aphids in the swarm
+     * @param {Object} center - {x, y, z} center (omit for a random one)
      */
-    addAphidSwarm(count) {
+    addAphidSwarm(count, center = null) {
         const { left, right, top, bottom, length } = CONFIG.TUNNEL;
 
         // Random center point for the swarm
-        const centerX = left + Math.random() * (right - left);
-        const centerY = top + Math.random() * (bottom - top);
-        const centerZ = Math.random() * length;
+        const centerX = center ? center.x : left + rng.next() * (right - left);
+        const centerY = center ? center.y : top + rng.next() * (bottom - top);
+        const centerZ = center ? center.z : rng.next() * length;
 
         // Spread range for individual aphids
         const spreadX = 4000;
@@ -280,20 +251,48 @@ export class Game {
         const spreadZ = 3000;
 
         for (let i = 0; i < count; i++) {
-            const x = centerX + (Math.random() - 0.5) * 2 * spreadX;
-            const y = centerY + (Math.random() - 0.5) * 2 * spreadY;
-            const z = centerZ + (Math.random() - 0.5) * 2 * spreadZ;
+            const x = centerX + (rng.next() - 0.5) * 2 * spreadX;
+            const y = centerY + (rng.next() - 0.5) * 2 * spreadY;
+            const z = centerZ + (rng.next() - 0.5) * 2 * spreadZ;
 
             // Clamp to tunnel bounds
             const clampedX = Math.max(left, Math.min(right, x));
             const clampedY = Math.max(top, Math.min(bottom, y));
             const clampedZ = ((z % length) + length) % length;
 
-            const aphid = new Aphid(clampedX, clampedY, clampedZ);
+            const aphid = new Aphid(clampedX, clampedY, clampedZ, this.speedFactor);
             this.tunnel.addObject(aphid);
         }
     }
 
+    /**
+     * Spend a life and respawn, or end the game if it was the last one
+     */
+    loseLife() {
+        const player = this.player;
+        player.lives = Math.max(0, player.lives - 1);
+
+        if (player.lives === 0) {
+            this.isGameOver = true;
+            this.gameOverTime = 0;
+            audio.play('gameOver');
+            return;
+        }
+
+        // A latched grabber dies with the old ship
+        const grabber = player.grabber;
+        if (grabber) {
+            grabber.release();
+            grabber.explode(grabber.x, grabber.y);
+            this.hitOne();
+        }
+
+        // The new ship and the tunnel around it form up again
+        player.respawn();
+        this.tunnel.reformObjects();
+        audio.play('respawn');
+    }
+
     // Called when an enemy is destroyed
     hitOne() {
         this.numLiveObjs--;
@@ -312,37 +311,53 @@ export class Game {
         }
 
         // Handle attract mode
-        if (this.level === kDemoLevel) {
+        if (this.isAttractMode()) {
             this.attractModeTime += dt;
-            return;  // No gameplay logic in attract mode
+        }
+        if (this.level === kDemoLevel) {
+            return;  // No gameplay logic in the attract level (demos play normally)
         }
 
         // Normal gameplay logic below
+        this.levelTime += dt;
 
-        // Check for game over (energy depleted)
+        // Out of energy costs a life; game over when the last one goes
         if (this.player.energy <= 0) {
-            this.isGameOver = true;
-            this.gameOverTime = 0;
-            audio.play('gameOver');
+            this.loseLife();
             return;
         }
 
         // Energy drain over time (from original: ticksPerEnergyUnit)
-        // Convert dt (ms) to frames (60fps = 16.67ms per frame)
-        this.energyDrainAccum += dt / 16.67;
+        // Convert tick length (ms) to original frames
+        this.energyDrainAccum += frameScale(dt);
         if (this.energyDrainAccum >= this.energyDrainInterval) {
             const drain = Math.floor(this.energyDrainAccum / this.energyDrainInterval);
             this.player.energy = Math.max(0, this.player.energy - drain);
             this.energyDrainAccum %= this.energyDrainInterval;
         }
 
-        // Check for level complete (all tracked enemies destroyed)
-        if (this.numLiveObjs <= 0) {
+        // Check for level complete
+        if (this.isLevelComplete()) {
             audio.play('nextLevel');
             this.startLevel(this.level + 1);
         }
     }
 
+    /**
+     * Has the current level's win condition been met?
+     */
+    isLevelComplete() {
+        switch (this.winCondition) {
+            case 'survive':
+                return this.levelTime >= this.surviveTime;
+            case 'none':
+                return false;
+            default:
+                // All tracked enemies destroyed
+                return this.numLiveObjs <= 0;
+        }
+    }
+
     /**
      * Get attract mode time in seconds (for flashing text)
      */
@@ -355,7 +370,7 @@ export class Game {
         // Handle overlays for different game states
         if (this.isGameOver) {
             renderer.drawGameOverOverlay();
-        } else if (this.level === kDemoLevel) {
+        } else if (this.isAttractMode()) {
             renderer.drawPressToPlayOverlay(this.getAttractModeSeconds());
         }
     }
@@ -0,0 +1,134 @@
+/*
+ * ZGraf Web - Gamepads
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// Reads gamepads through the Gamepad API and reports them to the
+// InputManager (input.js) as actions. Pads aren't event driven, so poll()
+// reads them once a frame. Layout (the standard mapping, which most pads
+// get in current browsers):
+//   Left stick      - steer the aim (CONFIG.GAMEPAD.aimSpeed, deadZone)
+//   Right trigger   - thrust forward      Left trigger - thrust backward
+//   A               - fire                Start        - pause
+//   Y               - rear-view mirror    D-pad        - menus, initials
+//   Back / Select   - settings menu
+// Pads may come and go at any time; browsers only report one once a button
+// has been pressed on it.
+
+// Standard mapping button indices (https://w3c.github.io/gamepad/#remapping)
+const BUTTON_ACTIONS = [
+    [0, 'fire'],        // A / Cross
+    [3, 'rearView'],    // Y / Triangle
+    [8, 'settings'],    // Back / Select / Share
+    [9, 'pause'],       // Start / Options
+    [12, 'up'],         // D-pad
+    [13, 'down'],
+    [14, 'left'],
+    [15, 'right']
+];
+const TRIGGER_ACTIONS = [
+    [7, 'forward'],     // Right trigger
+    [6, 'backward']     // Left trigger
+];
+
+// Input source name for the pad's actions
+export const GAMEPAD_SOURCE = 'gamepad';
+
+/**
+ * Stick position with a radial dead zone, rescaled so movement starts
+ * from zero at its edge
+ * @returns {{x, y}} Each -1 to 1
+ */
+export function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadZone) {
+        return { x: 0, y: 0 };
+    }
+    const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+    return { x: x * scale, y: y * scale };
+}
+
+export class GamepadInput {
+    /**
+     * @param {InputManager} input - Where actions go
+     * @param {Function} onChange - Called with (gamepad, connected) when a pad is plugged in or out
+     */
+    constructor(input, onChange = null) {
+        this.input = input;
+        this.onChange = onChange;
+        this.index = null;     // Pad being read (navigator.getGamepads() index), null = none
+
+        this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+        if (!this.supported) return;
+
+        window.addEventListener('gamepadconnected', (e) => this.connect(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.disconnect(e.gamepad));
+
+        // A pad used before the page loaded doesn't get a connected event
+        const pad = this.getGamepads().find(Boolean);
+        if (pad) this.connect(pad);
+    }
+
+    get connected() {
+        return this.index !== null;
+    }
+
+    getGamepads() {
+        return Array.from(navigator.getGamepads());
+    }
+
+    connect(gamepad) {
+        // The first pad plugged in is the one played with
+        if (this.connected) return;
+        if (gamepad.mapping !== 'standard') {
+            console.warn(`Gamepad "${gamepad.id}" has no standard mapping; its buttons may be mixed up`);
+        }
+        this.index = gamepad.index;
+        this.onChange?.(gamepad, true);
+    }
+
+    disconnect(gamepad) {
+        if (gamepad.index !== this.index) return;
+        this.index = null;
+        this.input.releaseSource(GAMEPAD_SOURCE);
+        this.onChange?.(gamepad, false);
+
+        // Carry on with another pad if there is one
+        const next = this.getGamepads().find((pad) => pad?.connected);
+        if (next) this.connect(next);
+    }
+
+    /**
+     * Read the pad and report changes (call once a frame)
+     */
+    poll() {
+        if (!this.connected) return;
+        const pad = this.getGamepads()[this.index];
+        if (!pad) return;
+
+        const { deadZone, triggerDeadZone } = CONFIG.GAMEPAD;
+        const { input } = this;
+
+        for (const [button, action] of BUTTON_ACTIONS) {
+            this.setHeld(action, pad.buttons[button]?.pressed);
+        }
+        for (const [button, action] of TRIGGER_ACTIONS) {
+            this.setHeld(action, (pad.buttons[button]?.value ?? 0) > triggerDeadZone);
+        }
+
+        const stick = applyDeadZone(pad.axes[0] ?? 0, pad.axes[1] ?? 0, deadZone);
+        input.setAimRate(GAMEPAD_SOURCE, stick.x, stick.y);
+    }
+
+    setHeld(action, held) {
+        if (held) {
+            this.input.press(action, GAMEPAD_SOURCE);
+        } else {
+            this.input.release(action, GAMEPAD_SOURCE);
+        }
+    }
+}
@@ -0,0 +1,130 @@
+/*
+ * ZGraf Web - Headless Simulation
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Node entry point: runs the full game simulation with no canvas and no audio.
+// Nothing imported here touches the DOM; renderer.js and main.js are never loaded.
+//
+//   import { createHeadlessSimulation } from './js/headless.js';
+//   const sim = createHeadlessSimulation({ level: 1, seed: 1234 });
+//   sim.step(600, { forward: true, fire: true });
+//   console.log(sim.getSnapshot().score);
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { audio } from './audio.js';
+import { Simulation, GameState, createInput } from './simulation.js';
+import { TICK_MS } from './clock.js';
+import { GAME_OVER_DURATION } from './game.js';
+import { validateReplay } from './replay.js';
+import { readLevelSet } from './levels.js';
+import { HighScoreTable } from './highscores.js';
+import { MemoryStorage } from './storage.js';
+import { SceneRenderer } from './scene.js';
+import { Camera, GAME_STEREO } from './camera.js';
+import { getStereoOutput } from './stereo.js';
+
+export { Simulation, GameState, createInput, TICK_MS };
+export { CommandListBackend, SVGBackend } from './backends.js';
+
+const LEVELS_DIR = fileURLToPath(new URL('../levels/', import.meta.url));
+
+/**
+ * Read and validate a level set from disk
+ * @param {string} dir - Directory holding index.json (default: the game's levels/)
+ * @returns {LevelSet}
+ */
+export function readLevels(dir = LEVELS_DIR) {
+    const readJson = (file) => JSON.parse(readFileSync(join(dir, file), 'utf8'));
+    return readLevelSet(readJson('index.json'), readJson);
+}
+
+/**
+ * Create a simulation with audio disabled, optionally already playing a level
+ * @param {Object} options
+ * @param {number} options.level - Level to start (omit to stay in LOADING state)
+ * @param {number} options.seed - Game seed (omit for a fresh seed per game)
+ * @param {LevelSet} options.levels - Level definitions (default: the shipped levels/)
+ * @param {HighScoreTable} options.highScores - High score table (default: a fresh one in memory)
+ * @param {number} options.speedFactor - Game speed (default CONFIG.SPEED_FACTOR)
+ * @returns {Simulation}
+ */
+export function createHeadlessSimulation(options = {}) {
+    audio.enabled = false;
+
+    const sim = new Simulation({
+        seed: options.seed,
+        levels: options.levels ?? readLevels(),
+        highScores: options.highScores ?? new HighScoreTable(new MemoryStorage()),
+        speedFactor: options.speedFactor
+    });
+    if (options.level !== undefined) {
+        sim.startLevel(options.level);
+    }
+    return sim;
+}
+
+/**
+ * Play a recorded game through a fresh simulation
+ * @param {Object} replay - Parsed replay file
+ * @returns {Simulation} The simulation, stopped where the recording ended
+ */
+export function runReplay(replay) {
+    const sim = createHeadlessSimulation();
+    sim.startReplay(replay);
+
+    // After a gameplay change the game may end before the recorded input
+    // does - stop at game over, and never run far past the recording
+    const maxTicks = replay.ticks + Math.ceil(GAME_OVER_DURATION / TICK_MS);
+    for (let i = 0; i < maxTicks && !sim.isReplayFinished(); i++) {
+        if (sim.game.isGameOver || sim.state !== GameState.PLAYING) break;
+        sim.tick(TICK_MS);
+    }
+    return sim;
+}
+
+/**
+ * Check that a replay still produces the result it recorded, over as many
+ * ticks as it recorded (use after gameplay or balance changes to see which
+ * saved sessions diverge)
+ * @returns {{ok: boolean, expected: Object, actual: Object}}
+ */
+export function verifyReplay(replay) {
+    validateReplay(replay);
+    const sim = runReplay(replay);
+    const actual = { ...sim.getResult(), ticks: sim.playback.tick };
+    const expected = { ...replay.result, ticks: replay.ticks };
+    const ok = Object.keys(expected).every((key) => expected[key] === actual[key]);
+    return { ok, expected, actual };
+}
+
+/**
+ * Draw the player's view of the tunnel, as the game shows it, into a
+ * rendering backend (backends.js) - e.g. a CommandListBackend for snapshot
+ * tests or an SVGBackend for a vector image
+ * @param {Simulation} sim
+ * @param {Object} backend
+ * @param {Object} options
+ * @param {string} options.stereo - Stereo output id whose eye colors to use (default 'mono')
+ * @param {Camera} options.camera - Viewpoint (default: the game's, at the player)
+ * @returns {Object} The backend, holding the frame
+ */
+export function renderFrame(sim, backend, options = {}) {
+    const scene = new SceneRenderer(backend);
+    scene.setStereoOutput(getStereoOutput(options.stereo ?? 'mono'));
+
+    let camera = options.camera;
+    if (!camera) {
+        camera = new Camera(GAME_STEREO);
+        camera.setPosition(sim.player.x, sim.player.y, sim.player.z);
+    }
+
+    scene.beginFrame();
+    sim.tunnel.drawObjects(scene, camera);
+    scene.endFrame();
+    return backend;
+}
@@ -0,0 +1,143 @@
+/*
+ * ZGraf Web - High Scores
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { getDefaultStorage, readJson, writeJson } from './storage.js';
+
+// Not in the original, which only showed the current score.
+// Saved as JSON: [{ "initials": "DMT", "score": 12400, "level": 3, "date": "2025-06-01" }, ...]
+
+const STORAGE_KEY = 'manic-episode-highscores';
+const TABLE_SIZE = 10;
+
+export const INITIALS_LENGTH = 3;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ ';
+
+function isValidEntry(entry) {
+    return entry !== null && typeof entry === 'object' &&
+           typeof entry.initials === 'string' && entry.initials.length === INITIALS_LENGTH &&
+           Number.isInteger(entry.score) && Number.isInteger(entry.level) &&
+           typeof entry.date === 'string';
+}
+
+/**
+ * Best scores, highest first, kept in storage between sessions
+ */
+export class HighScoreTable {
+    /**
+     * @param {Object} storage - Web Storage interface (default: localStorage, or memory under Node)
+     * @param {number} size - Number of scores kept
+     */
+    constructor(storage = getDefaultStorage(), size = TABLE_SIZE) {
+        this.storage = storage;
+        this.size = size;
+        this.entries = [];
+        this.load();
+    }
+
+    /**
+     * Read the table from storage, dropping anything malformed
+     */
+    load() {
+        const saved = readJson(this.storage, STORAGE_KEY, []);
+        this.entries = (Array.isArray(saved) ? saved : [])
+            .filter(isValidEntry)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.size);
+    }
+
+    save() {
+        writeJson(this.storage, STORAGE_KEY, this.entries);
+    }
+
+    isEmpty() {
+        return this.entries.length === 0;
+    }
+
+    /**
+     * Would this score make the table?
+     */
+    qualifies(score) {
+        if (score <= 0) return false;
+        return this.entries.length < this.size || score > this.entries[this.entries.length - 1].score;
+    }
+
+    /**
+     * Add a score and save the table
+     * @param {Object} entry - {initials, score, level, date}
+     * @returns {number} Rank in the table (0 = top), or -1 if it didn't make it
+     */
+    add(entry) {
+        if (!isValidEntry(entry) || !this.qualifies(entry.score)) return -1;
+
+        // Ties go below existing scores
+        let rank = this.entries.findIndex((e) => entry.score > e.score);
+        if (rank === -1) rank = this.entries.length;
+
+        this.entries.splice(rank, 0, entry);
+        this.entries.length = Math.min(this.entries.length, this.size);
+        this.save();
+        return rank;
+    }
+}
+
+/**
+ * Arcade-style initials entry: three letters, each stepped through A-Z
+ * (and space) or typed directly
+ */
+export class InitialsEntry {
+    /**
+     * @param {Object} result - The finished game ({score, level})
+     */
+    constructor(result) {
+        this.result = result;
+        this.letters = Array(INITIALS_LENGTH).fill('A');
+        this.cursor = 0;
+        this.elapsed = 0;   // ms spent on the entry screen (it times out)
+    }
+
+    get initials() {
+        return this.letters.join('');
+    }
+
+    /**
+     * Step the letter under the cursor through the alphabet
+     * @param {number} delta - +1 next letter, -1 previous
+     */
+    changeLetter(delta) {
+        const index = LETTERS.indexOf(this.letters[this.cursor]);
+        this.letters[this.cursor] = LETTERS[(index + delta + LETTERS.length) % LETTERS.length];
+    }
+
+    moveCursor(delta) {
+        this.cursor = Math.max(0, Math.min(INITIALS_LENGTH - 1, this.cursor + delta));
+    }
+
+    /**
+     * Set the letter under the cursor and move on
+     * @returns {boolean} True if the key was a usable letter
+     */
+    typeLetter(key) {
+        const letter = key.toUpperCase();
+        if (letter.length !== 1 || !LETTERS.includes(letter)) return false;
+
+        this.letters[this.cursor] = letter;
+        this.moveCursor(1);
+        return true;
+    }
+
+    /**
+     * Table entry for these initials, dated today
+     */
+    toEntry(date = new Date()) {
+        return {
+            initials: this.initials,
+            score: this.result.score,
+            level: this.result.level,
+            date: date.toISOString().slice(0, 10)
+        };
+    }
+}
@@ -0,0 +1,177 @@
+/*
+ * ZGraf Web - Input Actions
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// Every device (keyboard, mouse, gamepad) reports actions here rather than
+// touching the simulation, and the game reads only actions. Held actions
+// (thrust) are held while any source holds them; each new press is also
+// passed to the onAction handler, which deals with the one-shot ones
+// (pause, menus). Aim comes as an absolute position (the mouse), a
+// movement (a touch drag) or a rate of movement (a stick), and is turned
+// into the simulation's tunnel-coordinate aim once a frame by applyTo.
+
+export const ACTIONS = [
+    'forward',     // Thrust forward (held)
+    'backward',    // Thrust backward (held)
+    'fire',        // Fire (held fires as fast as the gun allows); starts a game, unpauses
+    'pause',       // Pause/unpause; starts a game, finishes initials entry
+    'rearView',    // Rear-view mirror on/off
+    'restart',     // New game (any state but loading)
+    'swarm',       // Spawn an aphid swarm (testing)
+    'settings',    // Open/close the settings menu (attract mode, paused)
+    'up',          // Menu and initials entry navigation
+    'down',
+    'left',
+    'right'
+];
+
+// Longest frame the aim is moved for (ms) - after a stall the aim doesn't jump
+const MAX_AIM_STEP = 100;
+
+export class InputManager {
+    constructor() {
+        this.held = new Map();        // Action -> sources holding it
+        this.triggered = new Set();   // Actions pressed since the last applyTo
+        this.aim = null;              // Absolute aim not yet applied ({x, y} tunnel coordinates)
+        this.aimMove = { x: 0, y: 0 };    // Aim movement not yet applied (tunnel units)
+        this.aimRates = new Map();    // Source -> aim movement ({x, y}, -1 to 1 of full speed)
+
+        // Called with (action, source) for each new press
+        this.onAction = null;
+    }
+
+    /**
+     * A source started holding an action (repeats while held are ignored)
+     * @param {string} action - From ACTIONS
+     * @param {string} source - Device it came from, e.g. 'keyboard'
+     */
+    press(action, source) {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown input action: ${action}`);
+        }
+        let sources = this.held.get(action);
+        if (!sources) {
+            sources = new Set();
+            this.held.set(action, sources);
+        }
+        if (sources.has(source)) return;
+
+        sources.add(source);
+        this.trigger(action, source);
+    }
+
+    release(action, source) {
+        this.held.get(action)?.delete(source);
+    }
+
+    /**
+     * A one-shot action that isn't held (a mouse click)
+     */
+    trigger(action, source) {
+        this.triggered.add(action);
+        this.onAction?.(action, source);
+    }
+
+    isHeld(action) {
+        return this.held.get(action)?.size > 0;
+    }
+
+    /**
+     * Forget one-shot actions and aim not yet applied (e.g. the click that
+     * unpaused shouldn't fire too, or a drag in attract mode move the player)
+     */
+    clearPending() {
+        this.triggered.clear();
+        this.aim = null;
+        this.aimMove = { x: 0, y: 0 };
+    }
+
+    /**
+     * Drop everything a source holds (device unplugged, window lost focus)
+     */
+    releaseSource(source) {
+        for (const sources of this.held.values()) {
+            sources.delete(source);
+        }
+        this.aimRates.delete(source);
+    }
+
+    /**
+     * Aim at a tunnel position (applied next frame)
+     */
+    aimAt(x, y) {
+        this.aim = { x, y };
+    }
+
+    /**
+     * Move the aim by an amount (applied next frame)
+     * @param {number} dx - Tunnel units
+     * @param {number} dy
+     */
+    moveAim(dx, dy) {
+        this.aimMove.x += dx;
+        this.aimMove.y += dy;
+    }
+
+    /**
+     * Move the aim steadily while a source holds it off center
+     * @param {number} x - -1 (full left) to 1 (full right)
+     * @param {number} y - -1 (full up) to 1 (full down)
+     */
+    setAimRate(source, x, y) {
+        if (x === 0 && y === 0) {
+            this.aimRates.delete(source);
+        } else {
+            this.aimRates.set(source, { x, y });
+        }
+    }
+
+    /**
+     * Put this frame's actions into a simulation input frame
+     * @param {Object} input - From createInput (simulation.js)
+     * @param {Player} player - For the aim to move from and the limits it's kept to
+     * @param {number} dt - Frame time (ms)
+     * @param {number} aimSpeed - Tunnel units/s at a full aim rate
+     */
+    applyTo(input, player, dt, aimSpeed = CONFIG.GAMEPAD.aimSpeed) {
+        input.forward = this.isHeld('forward');
+        input.backward = this.isHeld('backward');
+        if (this.isHeld('fire') || this.triggered.has('fire')) {
+            input.fire = true;
+        }
+        if (this.triggered.has('swarm')) {
+            input.swarm = true;
+        }
+
+        if (this.aim) {
+            input.aimX = this.aim.x;
+            input.aimY = this.aim.y;
+            this.aim = null;
+        }
+
+        let { x: moveX, y: moveY } = this.aimMove;
+        let rateX = 0;
+        let rateY = 0;
+        for (const rate of this.aimRates.values()) {
+            rateX += rate.x;
+            rateY += rate.y;
+        }
+        const step = aimSpeed * Math.min(dt, MAX_AIM_STEP) / 1000;
+        moveX += Math.max(-1, Math.min(1, rateX)) * step;
+        moveY += Math.max(-1, Math.min(1, rateY)) * step;
+
+        if (moveX !== 0 || moveY !== 0) {
+            // Start from the aim not yet applied, if any, so frames without a tick don't lose movement
+            const aim = player.clampAim((input.aimX ?? player.x) + moveX, (input.aimY ?? player.y) + moveY);
+            input.aimX = aim.x;
+            input.aimY = aim.y;
+        }
+
+        this.clearPending();
+    }
+}
@@ -0,0 +1,322 @@
+/*
+ * ZGraf Web - Level Definitions
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+import { rng } from './random.js';
+
+// Levels are JSON data files in levels/, listed in levels/index.json:
+//
+//   {
+//     "format": "zgraf-levels", "version": 1,
+//     "attract": "attract.json",                  // level 0 (attract mode)
+//     "levels": ["level1.json", "endless.json"]   // levels 1, 2, ...; the last file repeats
+//   }
+//
+// Level file:
+//
+//   {
+//     "format": "zgraf-level", "version": 1,
+//     "name": "Level 1",
+//     "description": "Notes for level designers",
+//     "energyDrainInterval": 100,              // frames per energy unit lost
+//     "win": { "type": "clear" },              // destroy every enemy (default)
+//                                              // or { "type": "survive", "seconds": 60 }
+//                                              // or { "type": "none" } (attract mode)
+//     "spawn": [                               // added in order
+//       { "type": "cross", "x": 0, "y": 0, "z": 32000, "vz": -30 },
+//       { "type": "aphid", "count": { "int": [12, 25] } },
+//       { "count": 7, "oneOf": [{ "type": "saucer" }, { "type": "cross" }] },  // random pick each
+//       { "type": "swarm", "size": 50 }
+//     ]
+//   }
+//
+// Positions and velocities are tunnel units (velocities per original frame,
+// scaled by the game speed at spawn). z is the wrapped tunnel position,
+// 0..CONFIG.TUNNEL.length, with the player starting at 0 facing +z.
+//
+// Any numeric field takes a number or a value spec:
+//   "random"                    anywhere in the tunnel (x, y, z only; the default)
+//   { "float": [min, max] }     random float
+//   { "int": [min, max] }       random integer
+//   { "base": 100, "perLevel": -10, "divideBy": 1, "min": 20, "max": 100, "round": "floor" }
+//                               base + perLevel × (level − 1), divided, clamped, rounded
+// Range ends may be value specs themselves, and "randomSign": true on a
+// random spec flips its sign half the time.
+
+export const LEVEL_FORMAT = 'zgraf-level';
+export const LEVELS_FORMAT = 'zgraf-levels';
+export const LEVEL_VERSION = 1;
+
+// Spawnable object types and the fields each accepts (besides type/count)
+const POSITION_FIELDS = ['x', 'y', 'z'];
+const MOVING_FIELDS = [...POSITION_FIELDS, 'vx', 'vy', 'vz'];
+
+export const SPAWN_TYPES = {
+    cross:   { fields: MOVING_FIELDS, ai: [] },
+    saucer:  { fields: MOVING_FIELDS, ai: ['maxXYSpeed', 'shootDistance', 'shotWait'] },
+    grabber: { fields: MOVING_FIELDS, ai: [] },
+    aphid:   { fields: POSITION_FIELDS, ai: ['maxVelocity', 'maxAxisVelocity'] },
+    thing:   { fields: POSITION_FIELDS, ai: [] },
+    blocker: { fields: [...POSITION_FIELDS, 'width'], ai: [], flags: ['horizontal'] },
+    swarm:   { fields: [...POSITION_FIELDS, 'size'], ai: [] }
+};
+
+const WIN_TYPES = ['clear', 'survive', 'none'];
+const ROUNDING = { round: Math.round, floor: Math.floor, ceil: Math.ceil };
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Check a value spec, throwing with the field path on error
+ */
+function validateValue(spec, path, allowRandom) {
+    if (isNumber(spec)) return;
+    if (spec === 'random' && allowRandom) return;
+
+    if (!isObject(spec)) {
+        throw new Error(`${path}: expected a number or value spec`);
+    }
+
+    const range = spec.int ?? spec.float;
+    if (range !== undefined) {
+        if (!Array.isArray(range) || range.length !== 2) {
+            throw new Error(`${path}: random range must be [min, max]`);
+        }
+        validateValue(range[0], `${path}[0]`, false);
+        validateValue(range[1], `${path}[1]`, false);
+        return;
+    }
+
+    if (!isNumber(spec.base)) {
+        throw new Error(`${path}: value spec needs "int", "float" or a numeric "base"`);
+    }
+    for (const key of ['perLevel', 'divideBy', 'min', 'max']) {
+        if (spec[key] !== undefined && !isNumber(spec[key])) {
+            throw new Error(`${path}.${key}: expected a number`);
+        }
+    }
+    if (spec.divideBy === 0) {
+        throw new Error(`${path}.divideBy: must not be 0`);
+    }
+    if (spec.round !== undefined && !(spec.round in ROUNDING)) {
+        throw new Error(`${path}.round: expected one of ${Object.keys(ROUNDING).join(', ')}`);
+    }
+}
+
+/**
+ * Check one spawn entry (or one choice of a oneOf entry, which has no count)
+ */
+function validateSpawn(entry, path, isChoice = false) {
+    if (!isObject(entry)) {
+        throw new Error(`${path}: expected an object`);
+    }
+
+    if (entry.count !== undefined) {
+        if (isChoice) {
+            throw new Error(`${path}.count: choices can't have their own count`);
+        }
+        validateValue(entry.count, `${path}.count`, false);
+    }
+
+    if (entry.oneOf !== undefined) {
+        if (isChoice || !Array.isArray(entry.oneOf) || entry.oneOf.length === 0) {
+            throw new Error(`${path}.oneOf: expected a non-empty list of objects`);
+        }
+        for (const key of Object.keys(entry)) {
+            if (key !== 'oneOf' && key !== 'count') {
+                throw new Error(`${path}.${key}: not allowed alongside oneOf`);
+            }
+        }
+        entry.oneOf.forEach((choice, i) => validateSpawn(choice, `${path}.oneOf[${i}]`, true));
+        return;
+    }
+
+    const info = SPAWN_TYPES[entry.type];
+    if (!info) {
+        throw new Error(`${path}.type: unknown object type "${entry.type}"`);
+    }
+
+    for (const [key, value] of Object.entries(entry)) {
+        if (key === 'type' || key === 'count') continue;
+
+        if (key === 'ai') {
+            if (!isObject(value)) {
+                throw new Error(`${path}.ai: expected an object`);
+            }
+            for (const [aiKey, aiValue] of Object.entries(value)) {
+                if (!info.ai.includes(aiKey)) {
+                    throw new Error(`${path}.ai.${aiKey}: not an AI parameter of ${entry.type}`);
+                }
+                validateValue(aiValue, `${path}.ai.${aiKey}`, false);
+            }
+        } else if ((info.flags || []).includes(key)) {
+            if (typeof value !== 'boolean') {
+                throw new Error(`${path}.${key}: expected true or false`);
+            }
+        } else if (info.fields.includes(key)) {
+            validateValue(value, `${path}.${key}`, POSITION_FIELDS.includes(key));
+        } else {
+            throw new Error(`${path}.${key}: not a field of ${entry.type}`);
+        }
+    }
+}
+
+/**
+ * Check a parsed level file and throw if it can't be played
+ * @param {Object} level - Parsed level file
+ * @param {string} name - File name for error messages
+ * @returns {Object} The level, unchanged
+ */
+export function validateLevel(level, name = 'level') {
+    if (!isObject(level) || level.format !== LEVEL_FORMAT) {
+        throw new Error(`${name}: not a ZGraf level file`);
+    }
+    if (level.version !== LEVEL_VERSION) {
+        throw new Error(`${name}: unsupported level version ${level.version}`);
+    }
+    for (const key of ['name', 'description']) {
+        if (level[key] !== undefined && typeof level[key] !== 'string') {
+            throw new Error(`${name}.${key}: expected a string`);
+        }
+    }
+    if (level.energyDrainInterval !== undefined) {
+        validateValue(level.energyDrainInterval, `${name}.energyDrainInterval`, false);
+    }
+
+    if (level.win !== undefined) {
+        if (!isObject(level.win) || !WIN_TYPES.includes(level.win.type)) {
+            throw new Error(`${name}.win: type must be one of ${WIN_TYPES.join(', ')}`);
+        }
+        if (level.win.type === 'survive') {
+            validateValue(level.win.seconds, `${name}.win.seconds`, false);
+        }
+    }
+
+    if (!Array.isArray(level.spawn)) {
+        throw new Error(`${name}.spawn: expected a list of objects`);
+    }
+    level.spawn.forEach((entry, i) => validateSpawn(entry, `${name}.spawn[${i}]`));
+
+    return level;
+}
+
+/**
+ * Evaluate a value spec for a level
+ * Random specs draw from the shared rng, so evaluation order matters
+ * @param {number|string|Object} spec - Value spec (see file format above)
+ * @param {number} levelNum - Level being built (for perLevel scaling)
+ * @param {string} axis - 'x', 'y' or 'z' when spec may be "random"
+ */
+export function resolveValue(spec, levelNum, axis = null) {
+    if (isNumber(spec)) return spec;
+
+    if (spec === 'random') {
+        const { left, right, top, bottom, length } = CONFIG.TUNNEL;
+        if (axis === 'x') return rng.float(left, right);
+        if (axis === 'y') return rng.float(top, bottom);
+        return rng.float(0, length);
+    }
+
+    let value;
+    if (spec.int !== undefined) {
+        value = rng.int(resolveValue(spec.int[0], levelNum), resolveValue(spec.int[1], levelNum));
+    } else if (spec.float !== undefined) {
+        value = rng.float(resolveValue(spec.float[0], levelNum), resolveValue(spec.float[1], levelNum));
+    } else {
+        value = (spec.base + (spec.perLevel ?? 0) * (levelNum - 1)) / (spec.divideBy ?? 1);
+        if (spec.min !== undefined) value = Math.max(spec.min, value);
+        if (spec.max !== undefined) value = Math.min(spec.max, value);
+        if (spec.round !== undefined) value = ROUNDING[spec.round](value);
+    }
+
+    if (spec.randomSign && rng.next() > 0.5) {
+        value = -value;
+    }
+    return value;
+}
+
+/**
+ * The game's levels: attract mode plus numbered levels, the last one repeating
+ */
+export class LevelSet {
+    /**
+     * @param {Object} attract - Level 0 (attract mode) definition
+     * @param {Array<Object>} levels - Definitions for levels 1, 2, ...
+     */
+    constructor(attract, levels) {
+        if (levels.length === 0) {
+            throw new Error('Level set has no playable levels');
+        }
+        this.attract = attract;
+        this.levels = levels;
+
+        // Definitions replaced for one level number: levelNum -> definition
+        this.overrides = new Map();
+    }
+
+    /**
+     * Definition for a level number (levels past the end reuse the last one)
+     */
+    get(levelNum) {
+        if (levelNum <= 0) return this.attract;
+        return this.overrides.get(levelNum) ?? this.levels[Math.min(levelNum, this.levels.length) - 1];
+    }
+
+    /**
+     * Replace the definition used for a level number (e.g. with edits from
+     * the level editor); levels sharing the last definition keep theirs
+     */
+    set(levelNum, def) {
+        if (levelNum <= 0) {
+            this.attract = def;
+        } else {
+            this.overrides.set(levelNum, def);
+        }
+    }
+}
+
+/**
+ * Build a level set from its index file
+ * @param {Object} index - Parsed levels/index.json
+ * @param {Function} readLevel - (fileName) => parsed level file
+ * @returns {LevelSet}
+ */
+export function readLevelSet(index, readLevel) {
+    if (!isObject(index) || index.format !== LEVELS_FORMAT) {
+        throw new Error('Not a ZGraf level index');
+    }
+    if (index.version !== LEVEL_VERSION) {
+        throw new Error(`Unsupported level index version ${index.version}`);
+    }
+    if (typeof index.attract !== 'string' || !Array.isArray(index.levels)) {
+        throw new Error('Level index needs "attract" and "levels"');
+    }
+
+    const load = (file) => validateLevel(readLevel(file), file);
+    return new LevelSet(load(index.attract), index.levels.map(load));
+}
+
+/**
+ * Fetch and validate the level set (browser)
+ * @param {string} baseUrl - Directory holding index.json, e.g. 'levels/'
+ * @returns {Promise<LevelSet>}
+ */
+export async function loadLevelSet(baseUrl) {
+    const fetchJson = async (file) => {
+        const response = await fetch(baseUrl + file);
+        if (!response.ok) {
+            throw new Error(`${file}: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    };
+
+    const index = await fetchJson('index.json');
+    const files = [index.attract, ...(index.levels || [])].filter((f) => typeof f === 'string');
+    const data = new Map(await Promise.all(files.map(async (f) => [f, await fetchJson(f)])));
+    return readLevelSet(index, (file) => data.get(file));
+}
@@ -7,28 +7,60 @@
 
 import { CONFIG } from './config.js';
 import { Renderer } from './renderer.js';
-import { Tunnel } from './tunnel.js';
-import { Player } from './player.js';
-import { Game } from './game.js';
+import { Simulation, GameState } from './simulation.js';
+import { SimClock, frameScale } from './clock.js';
 import { audio } from './audio.js';
-import { Aphid } from './objects/aphid.js';
-
-// Game states
-const GameState = {
-    LOADING: 'loading',
-    INTRO: 'intro',      // Zoom grid animation
-    ATTRACT: 'attract',
-    PLAYING: 'playing',
-    GAME_OVER: 'gameover'
-};
+import { parseSeed } from './random.js';
+import { validateReplay } from './replay.js';
+import { loadLevelSet } from './levels.js';
+import { HighScoreTable } from './highscores.js';
+import { getStereoOutput, nextStereoOutput } from './stereo.js';
+import { CompositeBenchmark } from './benchmark.js';
+import { FrameCapture, downloadBlob } from './capture.js';
+import { DynamicResolution } from './resolution.js';
+import { Camera, GAME_STEREO } from './camera.js';
+import { InputManager } from './input.js';
+import { GamepadInput, GAMEPAD_SOURCE } from './gamepad.js';
+import { TouchInput } from './touch.js';
+import { KeyBindings, ControlsScreen } from './bindings.js';
+import { PointerLockInput } from './pointerlock.js';
+import { Settings, SettingsMenu, SETTINGS_SCHEMA, eyeSeparationToHalfOffset } from './settings.js';
 
 // Intro animation constants (from original Anim.c BenchmarkSystem)
 // Scaled 10x in world space to use normal stereo halfOffset (380) without extreme separation
-// At 60fps with step=100, 4500 units = 0.75 seconds (45 frames)
+// At 60 ticks/s with step=100, 4500 units = 0.75 seconds (45 ticks)
 const INTRO_Z_START = 5000;   // Start far (reasonable stereo separation)
 const INTRO_Z_END = 500;      // End closer but still reasonable
 const INTRO_Z_STEP = 100;     // Decrement per frame (10x original)
 
+const NOTICE_DURATION = 2000;  // ms a notice (e.g. new stereo mode) stays up
+
+// Anaglyph calibration screen help (handled in handleCalibrationKey)
+const CALIBRATION_HELP = [
+    'G: glasses   M: method   C: gray/color eyes',
+    'Left/Right: eye   Up/Down: cancel more/less ghosting',
+    'Look through one lens at a time: the other panel should be flat gray',
+    'F4 / Enter: done'
+];
+
+// Level editor key help (handled in handleEditorKey; thrust keys are the
+// player's bindings and come first, see getEditorLines)
+const EDITOR_HELP = [
+    'Mouse: aim   Click/Tab: select',
+    '1-5: place cross/saucer/blocker/grabber/thing',
+    'G: move   Del: delete   H: blocker direction',
+    'X/Y/Z: velocity axis   [ ]: -/+10 (Shift 100)   0: stop',
+    'P: preview motion   PgUp/PgDn: level   E: export   F2: exit'
+];
+
+/**
+ * Keys that shouldn't count as "press any key" (Shift, F8, etc.)
+ */
+function isModifierOrFunctionKey(key) {
+    return key === 'Shift' || key === 'Control' || key === 'Alt' || key === 'Meta' ||
+           /^F\d+$/.test(key);
+}
+
 class ZGraf {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
@@ -38,24 +70,114 @@ class ZGraf {
         window.addEventListener('resize', () => this.resizeCanvas());
 
         this.renderer = new Renderer(this.canvas);
-        this.tunnel = new Tunnel();
-        this.player = new Player(this.tunnel);
-        this.game = new Game(this.tunnel, this.player);
 
-        this.tunnel.setPlayer(this.player);
-        this.tunnel.setGame(this.game);
+        // ?stereo=id picks the stereo output mode (see stereo.js); F3 cycles them
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('stereo')) {
+            try {
+                this.renderer.setStereoOutput(getStereoOutput(params.get('stereo')));
+            } catch (err) {
+                console.error(err.message);
+            }
+        }
+
+        // ?scale=N renders at N times device pixels (0.5-2), lowered
+        // automatically while frames are slow (see resolution.js)
+        try {
+            this.resolution = new DynamicResolution(params.has('scale') ? parseFloat(params.get('scale')) : undefined);
+        } catch (err) {
+            console.error(err.message);
+            this.resolution = new DynamicResolution();
+        }
+        this.updatePixelRatio();
 
+        // ?benchmark times stereo compositing from the start (F9 any time)
+        if (params.has('benchmark')) {
+            this.toggleBenchmark();
+        }
+
+        // Screenshots (F7) and recording (F10)
+        this.capture = new FrameCapture(this.renderer);
+
+        // Anaglyph calibration screen (F4) and the eye being tuned
+        this.calibrating = false;
+        this.calibrationEye = 'left';
+
+        // Short message shown over the game view (e.g. the new stereo mode)
+        this.notice = null;
+        this.noticeTime = 0;
+
+        // Lines explaining why the game couldn't load (null = loaded fine)
+        this.loadError = null;
+
+        // Player settings, kept in localStorage (see applySetting)
+        this.settings = new Settings();
+        this.settingsMenu = null;
+
+        // Game simulation (tunnel, player, rules) - DOM-free, stepped by us
+        // ?seed=N in the URL fixes the seed of every game (for reproducing levels/bugs)
+        // High scores are kept in localStorage
+        this.sim = new Simulation({
+            seed: parseSeed(params.get('seed')),
+            highScores: new HighScoreTable(),
+            speedFactor: this.settings.get('speedFactor')
+        });
+        this.tunnel = this.sim.tunnel;
+        this.player = this.sim.player;
+        this.game = this.sim.game;
+
+        // Fixed-step simulation clock - rAF frame times are banked and spent in whole ticks
+        this.clock = new SimClock();
         this.lastTime = 0;
-        this.state = GameState.LOADING;
-        this.paused = false;
 
         // Intro animation state
         this.introZ = INTRO_Z_START;
 
         // Apply stereo settings (tuned values, all pop-out mode)
-        CONFIG.STEREO.halfOffset = 380;
-        CONFIG.STEREO.screenPlaneZ = null;
-        this.renderer.halfOffset = 380;
+        Object.assign(CONFIG.STEREO, GAME_STEREO);
+
+        // The player's view, and the intro grid's (fixed at the origin, no tunnel to wrap round)
+        this.camera = this.createCamera();
+        this.introCamera = this.createCamera({ wrapLength: null });
+
+        // Rear-view inset (M), looking back down the tunnel from the player
+        this.rearCamera = this.createCamera({ direction: -1 });
+        this.rearView = false;
+        this.renderer.setCamera(this.camera);
+
+        // Every device reports actions to the input layer; gamepads are polled each frame
+        this.input = new InputManager();
+        this.input.onAction = (action, source) => this.handleAction(action, source);
+        this.gamepad = new GamepadInput(this.input, (pad, connected) => {
+            this.showNotice(`Gamepad ${connected ? 'connected' : 'disconnected'}: ${pad.id.split(' (')[0]}`);
+        });
+
+        // Touch buttons appear once the screen is touched (?touch shows them from the start)
+        this.touch = new TouchInput(this.canvas, this.input, this.renderer);
+        this.touch.active = params.has('touch');
+
+        // Relative mouse aiming with the pointer locked; losing the lock pauses
+        this.pointer = new PointerLockInput(this.canvas, this.input, (locked) => {
+            if (!locked && this.state === GameState.PLAYING && !this.paused) {
+                this.setPaused(true);
+            }
+        });
+
+        // Keys for input actions, kept in localStorage and changed on the controls screen (F6)
+        this.bindings = new KeyBindings();
+        this.controls = null;
+        this.updateHints();
+
+        // Saved settings take effect, except where the URL says otherwise
+        // (?stereo=id, ?pointerlock) for this visit
+        for (const { key } of SETTINGS_SCHEMA) {
+            if (key === 'stereo' && params.has('stereo')) continue;
+            this.applySetting(key);
+        }
+        if (params.has('pointerlock')) {
+            this.pointer.setEnabled(true);
+        }
+        this.settings.onChange = (key) => this.applySetting(key);
 
         this.setupInput();
 
@@ -63,125 +185,530 @@ class ZGraf {
         this.startLoading();
     }
 
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+    get state() {
+        return this.sim.state;
+    }
+
+    get paused() {
+        return this.sim.paused;
+    }
 
-        // Update config dimensions
-        CONFIG.WIDTH = this.canvas.width;
-        CONFIG.HEIGHT = this.canvas.height;
+    resizeCanvas() {
+        // Update config dimensions (logical size, in CSS pixels)
+        CONFIG.WIDTH = window.innerWidth;
+        CONFIG.HEIGHT = window.innerHeight;
 
-        // Reinitialize renderer if it exists
+        // Reinitialize renderer if it exists (it sizes the canvases for the pixel ratio)
         if (this.renderer) {
-            this.renderer.resize(this.canvas.width, this.canvas.height);
+            this.renderer.resize(CONFIG.WIDTH, CONFIG.HEIGHT);
         }
     }
 
+    /**
+     * Canvas resolution from the device, the render scale and the stereo
+     * output (interlaced needs canvas rows to be the screen's rows)
+     */
+    updatePixelRatio() {
+        const scale = this.renderer.stereoOutput.needsDevicePixels ? 1 : this.resolution.scale;
+        this.renderer.setPixelRatio((window.devicePixelRatio || 1) * scale);
+    }
+
     setupInput() {
         // Mouse movement - only during gameplay
         this.canvas.addEventListener('mousemove', (e) => {
-            if (this.state !== GameState.PLAYING || this.paused) return;
+            const aiming = this.state === GameState.PLAYING || this.state === GameState.EDITING;
+            if (!aiming || this.paused || this.pointer.locked) return;
             const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left - CONFIG.WIDTH / 2;
-            const y = e.clientY - rect.top - CONFIG.HEIGHT / 2;
-            this.player.setMousePosition(x, y);
+            // Side-by-side and over/under modes show the view shrunk
+            const point = this.renderer.toEyePoint(e.clientX - rect.left, e.clientY - rect.top);
+            const x = point.x - CONFIG.WIDTH / 2;
+            const y = point.y - CONFIG.HEIGHT / 2;
+            const aim = this.player.mouseToAim(x, y);
+            this.input.aimAt(aim.x, aim.y);
         });
 
-        // Mouse click - context dependent
-        this.canvas.addEventListener('mousedown', (e) => {
-            switch (this.state) {
-                case GameState.LOADING:
-                    // Ignore clicks while loading
-                    break;
-                case GameState.ATTRACT:
-                    // Start game from attract mode
-                    this.startGame();
-                    break;
-                case GameState.PLAYING:
-                    if (this.paused) {
-                        this.setPaused(false);
-                    } else {
-                        this.player.fire();
-                    }
-                    break;
-                case GameState.GAME_OVER:
-                    // Ignore clicks during game over (wait for timer)
-                    break;
+        // Mouse click - a shot, but never held (see handleAction)
+        // With pointer lock on, a click that starts or resumes play takes the pointer
+        this.canvas.addEventListener('mousedown', () => {
+            this.input.trigger('fire', 'mouse');
+            if (this.state === GameState.PLAYING && !this.paused) {
+                this.pointer.lock();
             }
         });
 
         // Keyboard input
         document.addEventListener('keydown', (e) => {
-            // 'R' restarts game (works in any state except loading)
-            // From original Player.c: sets startNewGame flag
-            if ((e.key === 'r' || e.key === 'R') && this.state !== GameState.LOADING) {
-                this.restartGame();
+            // F6 opens/closes the controls screen, which takes every key while open
+            if ((e.key === 'F6' && !this.calibrating) || this.controls) {
+                e.preventDefault();
+                this.handleControlsKey(e);
+                return;
+            }
+
+            // The settings menu takes every key while open
+            if (this.settingsMenu) {
+                e.preventDefault();
+                this.handleSettingsKey(e);
+                return;
+            }
+
+            // F4 opens/closes anaglyph calibration, which takes every key while open
+            if (e.key === 'F4' || this.calibrating) {
+                e.preventDefault();
+                this.handleCalibrationKey(e);
+                return;
+            }
+
+            // F2 opens/closes the level editor
+            if (e.key === 'F2') {
+                e.preventDefault();
+                this.toggleEditor();
+                return;
+            }
+
+            if (this.state === GameState.EDITING) {
+                this.handleEditorKey(e);
+                return;
+            }
+
+            // Every key goes to the initials entry (so R and friends are letters)
+            if (this.state === GameState.ENTER_INITIALS) {
+                this.handleInitialsKey(e);
+                return;
+            }
+
+            // Restart, the swarm cheat and settings go to handleAction whatever the state (never as "any key")
+            const action = this.bindings.getAction(e);
+            if (action === 'restart' || action === 'swarm' || action === 'settings') {
+                this.input.press(action, 'keyboard');
+                return;
+            }
+
+            // Any key drops straight into a new game from attract mode
+            // (bare modifiers and function keys excepted)
+            if (this.state === GameState.ATTRACT && !isModifierOrFunctionKey(e.key)) {
+                this.startGame();
                 return;
             }
 
             // Only process gameplay keys when actually playing
             if (this.state !== GameState.PLAYING) return;
 
-            switch (e.key) {
-                case 'w':
-                case 'W':
-                case 'ArrowUp':
-                    this.player.moveForward = true;
-                    break;
-                case 's':
-                case 'S':
-                case 'ArrowDown':
-                    this.player.moveBackward = true;
-                    break;
-                case '2':
-                    // Original: '2' accelerates forward
-                    this.player.moveForward = true;
-                    break;
-                case '1':
-                    // Original: '1' accelerates backward
-                    this.player.moveBackward = true;
-                    break;
-                case ' ':
-                    if (!this.paused) {
-                        this.player.fire();
-                    }
-                    break;
-                case 'Escape':
-                    this.setPaused(!this.paused);
-                    break;
+            if (action) {
+                this.input.press(action, 'keyboard');
             }
         });
 
         document.addEventListener('keyup', (e) => {
-            switch (e.key) {
-                case 'w':
-                case 'W':
-                case 'ArrowUp':
-                case '2':
-                    this.player.moveForward = false;
-                    break;
-                case 's':
-                case 'S':
-                case 'ArrowDown':
-                case '1':
-                    this.player.moveBackward = false;
-                    break;
+            for (const action of this.bindings.getActionsForCode(e.code || e.key)) {
+                this.input.release(action, 'keyboard');
+            }
+        });
+
+        // Keys let go while the window is in the background never come up
+        window.addEventListener('blur', () => this.input.releaseSource('keyboard'));
+
+        // F3: next stereo output mode
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'F3' && !this.calibrating) {
+                e.preventDefault();
+                const output = nextStereoOutput(this.renderer.stereoOutput);
+                this.renderer.setStereoOutput(output);
+                this.settings.set('stereo', output.stereo);
+                this.showNotice(`Stereo: ${output.label}`);
+            }
+        });
+
+        // F9: start, cancel or close the compositing benchmark
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'F9') {
+                e.preventDefault();
+                this.toggleBenchmark();
+            }
+        });
+
+        // F7: screenshot (Shift+F7: each eye); F10: record video (Shift+F10: PNG frames)
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'F7') {
+                e.preventDefault();
+                this.saveScreenshot(e.shiftKey);
+            } else if (e.key === 'F10') {
+                e.preventDefault();
+                this.toggleRecording(e.shiftKey ? 'frames' : 'webm');
             }
         });
 
-        // Shift+A: spawn aphid swarm (100 aphids around a random point)
+        // F8: save a replay of the current (or last) game
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'A' && e.shiftKey) {
-                this.spawnAphidSwarm(100);
+            if (e.key === 'F8') {
+                e.preventDefault();
+                this.saveReplay();
+            }
+        });
+
+        // Drop a replay file on the game to watch it
+        this.canvas.addEventListener('dragover', (e) => e.preventDefault());
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file && this.state !== GameState.LOADING && this.state !== GameState.INTRO) {
+                this.loadReplayFile(file);
             }
         });
     }
 
+    /**
+     * One-shot input actions from any device, by game state
+     * (held ones - thrust, fire - are read each frame in gameLoop)
+     * @param {string} source - Device the action came from (input.js)
+     */
+    handleAction(action, source) {
+        if (this.calibrating || this.controls) return;
+
+        // Settings open from attract mode or a game (which pauses); the menu
+        // takes every action while open, but only the gamepad's work it (keys
+        // go to handleSettingsKey, and a stray click or tap mustn't choose)
+        if (action === 'settings') {
+            if (this.settingsMenu) {
+                this.settingsMenu = null;
+            } else if (this.state === GameState.ATTRACT || this.state === GameState.PLAYING) {
+                this.openSettings();
+            }
+            return;
+        }
+        if (this.settingsMenu) {
+            if (source === GAMEPAD_SOURCE && !this.settingsMenu.handleAction(action)) {
+                this.settingsMenu = null;
+            }
+            this.input.clearPending();
+            return;
+        }
+
+        // 'R' restarts game (works in any state except loading)
+        // From original Player.c: sets startNewGame flag
+        if (action === 'restart') {
+            if (this.state !== GameState.LOADING) {
+                this.restartGame();
+            }
+            return;
+        }
+        // Shift+A: the aphid swarm goes into the input frame (see applyTo)
+        // and is spawned by the next gameplay tick, so replays record it
+        if (action === 'swarm') {
+            return;
+        }
+
+        switch (this.state) {
+            case GameState.ATTRACT:
+                // Start game from attract mode
+                if (action === 'fire' || action === 'pause') {
+                    this.startGame();
+                    this.input.clearPending();
+                }
+                break;
+            case GameState.PLAYING:
+                if (action === 'pause' || (action === 'fire' && this.paused)) {
+                    this.setPaused(!this.paused);
+                    // The press that unpaused doesn't fire as well
+                    this.input.clearPending();
+                } else if (action === 'rearView') {
+                    this.rearView = !this.rearView;
+                    this.showNotice(`Rear view: ${this.rearView ? 'on' : 'off'}`);
+                }
+                break;
+            case GameState.ENTER_INITIALS:
+                this.handleInitialsAction(action);
+                break;
+            case GameState.EDITING:
+                // Pick the object nearest the crosshairs
+                if (action === 'fire') {
+                    this.sim.editor.selectNearest();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Controls screen keys (see ControlsScreen in bindings.js); F6 opens and
+     * closes it, or stops waiting for a key
+     */
+    handleControlsKey(e) {
+        if (!this.controls) {
+            this.openControls();
+            return;
+        }
+
+        if (e.key === 'F6' && this.controls.capturing) {
+            this.controls.cancelCapture();
+        } else if (e.key === 'F6' || !this.controls.handleKey(e)) {
+            this.controls = null;
+        }
+        this.updateHints();
+    }
+
+    openControls() {
+        this.controls = new ControlsScreen(this.bindings);
+        this.input.releaseSource('keyboard');
+        if (this.state === GameState.PLAYING && !this.paused) {
+            this.setPaused(true);
+        }
+    }
+
+    /**
+     * Key hints on screen, from the current bindings
+     */
+    updateHints() {
+        this.renderer.controlHints = this.bindings.getHints();
+        const settingsKeys = this.bindings.getKeys('settings');
+        this.renderer.pauseHint = settingsKeys.length > 0 ? `${this.bindings.describe('settings', 1)}: settings` : '';
+    }
+
+    /**
+     * Settings menu (see SettingsMenu in settings.js), over attract mode or a paused game
+     */
+    openSettings() {
+        this.settingsMenu = new SettingsMenu(this.settings, [
+            { label: 'Controls', run: () => this.openControls() },
+            { label: 'Restore defaults', run: () => this.settings.reset() }
+        ]);
+        this.input.releaseSource('keyboard');
+        if (this.state === GameState.PLAYING && !this.paused) {
+            this.setPaused(true);
+        }
+    }
+
+    /**
+     * Settings menu keys; Escape or the settings key closes it
+     */
+    handleSettingsKey(e) {
+        if (this.bindings.getAction(e) === 'settings' || !this.settingsMenu.handleKey(e)) {
+            this.settingsMenu = null;
+        }
+    }
+
+    /**
+     * Put a setting (settings.js) into effect
+     */
+    applySetting(key) {
+        const value = this.settings.get(key);
+        switch (key) {
+            case 'stereo':
+                if (value !== this.renderer.stereoEnabled) {
+                    this.renderer.toggleStereo();
+                }
+                break;
+            case 'eyeSeparation': {
+                // A share of the game's tuned separation (GAME_STEREO)
+                const halfOffset = eyeSeparationToHalfOffset(value);
+                for (const camera of [this.camera, this.introCamera, this.rearCamera]) {
+                    camera.halfOffset = halfOffset;
+                }
+                break;
+            }
+            case 'volume':
+                audio.setVolume(value / 100);
+                break;
+            case 'speedFactor':
+                // Takes effect from the next game
+                this.sim.speedFactor = value;
+                break;
+            case 'pointerLock':
+                this.pointer.setEnabled(value);
+                break;
+            case 'mouseSensitivity':
+                this.pointer.sensitivity = value;
+                break;
+            case 'mouseInvertY':
+                this.pointer.invertY = value;
+                break;
+            case 'mouseSmoothing':
+                this.pointer.smoothing = value;
+                break;
+        }
+    }
+
+    /**
+     * A camera with the eye separation setting (see applySetting)
+     * @param {Object} options - Camera options (see camera.js)
+     */
+    createCamera(options = {}) {
+        return new Camera({ halfOffset: eyeSeparationToHalfOffset(this.settings.get('eyeSeparation')), ...options });
+    }
+
+    /**
+     * Level editor keys (see EDITOR_HELP)
+     */
+    handleEditorKey(e) {
+        const editor = this.sim.editor;
+        const placeKeys = { '1': 'cross', '2': 'saucer', '3': 'blocker', '4': 'grabber', '5': 'thing' };
+
+        if (placeKeys[e.key]) {
+            editor.place(placeKeys[e.key]);
+            return;
+        }
+
+        // Fly with the thrust keys, bound as in play (released by the keyup handler)
+        const action = this.bindings.getAction(e);
+        if (action === 'forward' || action === 'backward') {
+            this.input.press(action, 'keyboard');
+            return;
+        }
+
+        switch (e.key) {
+            case 'Tab':
+                e.preventDefault();
+                editor.selectNext();
+                break;
+            case 'g':
+            case 'G':
+                editor.toggleGrab();
+                break;
+            case 'Delete':
+            case 'Backspace':
+                e.preventDefault();
+                editor.deleteSelected();
+                break;
+            case 'x':
+            case 'y':
+            case 'z':
+            case 'X':
+            case 'Y':
+            case 'Z':
+                editor.setVelocityAxis('v' + e.key.toLowerCase());
+                break;
+            case '[':
+            case '{':
+                editor.adjustVelocity(e.shiftKey ? -100 : -10);
+                break;
+            case ']':
+            case '}':
+                editor.adjustVelocity(e.shiftKey ? 100 : 10);
+                break;
+            case '0':
+                editor.clearVelocity();
+                break;
+            case 'h':
+            case 'H':
+                editor.toggleHorizontal();
+                break;
+            case 'p':
+            case 'P':
+                editor.togglePreview();
+                break;
+            case 'PageUp':
+                e.preventDefault();
+                editor.load(Math.max(0, editor.levelNum - 1));
+                break;
+            case 'PageDown':
+                e.preventDefault();
+                editor.load(editor.levelNum + 1);
+                break;
+            case 'e':
+            case 'E':
+                this.exportLevel();
+                break;
+        }
+    }
+
+    /**
+     * Open the level editor on the current level (level 1 from attract mode),
+     * or close it and return to attract mode
+     */
+    toggleEditor() {
+        if (this.state === GameState.EDITING) {
+            this.sim.stopEditing();
+        } else if (this.state !== GameState.LOADING && this.state !== GameState.INTRO) {
+            // Attract mode plays whatever level a demo is on, so it opens level 1
+            this.sim.startEditing(this.state === GameState.ATTRACT ? 1 : Math.max(1, this.game.level));
+            this.sim.editor.depth = this.renderer.getCrosshairsZ();
+        }
+        this.updateCursor();
+    }
+
+    /**
+     * Download the level being edited as a level file
+     */
+    exportLevel() {
+        const editor = this.sim.editor;
+        try {
+            this.downloadJson(editor.toLevel(), `level${editor.levelNum}.json`, 4);
+        } catch (e) {
+            console.warn('Could not export level:', e);
+        }
+    }
+
+    /**
+     * Save data as a JSON file download
+     */
+    downloadJson(data, fileName, indent = 0) {
+        const blob = new Blob([JSON.stringify(data, null, indent) + '\n'], { type: 'application/json' });
+        downloadBlob(blob, fileName);
+    }
+
+    /**
+     * Save the frame on screen as PNG
+     * @param {boolean} eyes - Save each eye image instead of the composited frame
+     */
+    async saveScreenshot(eyes) {
+        try {
+            const count = await this.capture.saveScreenshot(eyes);
+            this.showNotice(count > 1 ? 'Saved left and right eye images' : 'Saved screenshot');
+        } catch (e) {
+            console.warn('Could not save screenshot:', e);
+            this.showNotice('Could not save screenshot');
+        }
+    }
+
+    /**
+     * Start or stop recording (the canvas gets a red outline while recording,
+     * which isn't in the recording)
+     * @param {string} format - 'webm' or 'frames' (see capture.js)
+     */
+    toggleRecording(format) {
+        if (this.capture.recording) {
+            const frames = this.capture.stop();
+            this.canvas.style.outline = '';
+            this.showNotice(`Recorded ${frames} frames`);
+            return;
+        }
+
+        try {
+            this.capture.start(format, performance.now());
+            this.notice = null;
+            this.canvas.style.outline = '2px solid red';
+        } catch (e) {
+            this.showNotice(e.message);
+        }
+    }
+
+    /**
+     * Download the replay of the current (or last finished) game as JSON
+     */
+    saveReplay() {
+        const replay = this.sim.getReplay();
+        if (!replay) return;
+
+        this.downloadJson(replay, `manic-episode-${replay.seed}-${replay.result.score}.json`);
+    }
+
+    /**
+     * Read a dropped replay file and start watching it
+     */
+    async loadReplayFile(file) {
+        try {
+            const replay = JSON.parse(await file.text());
+            this.sim.startReplay(replay);
+            this.updateCursor();
+        } catch (e) {
+            console.warn('Could not play replay:', e);
+        }
+    }
+
     /**
      * Start loading sequence - show loading screen until all images loaded
      */
     async startLoading() {
-        this.state = GameState.LOADING;
+        this.sim.state = GameState.LOADING;
         document.getElementById('instructions').style.display = 'none';
 
         // Ensure canvas starts black
@@ -189,14 +716,44 @@ class ZGraf {
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Initialize audio system
-        await audio.init();
+        // Initialize audio system, level data and attract-mode demo games
+        await Promise.all([audio.init(), this.loadLevels(), this.loadDemos()]);
 
         // Start loading animation loop
         this.lastTime = performance.now();
         requestAnimationFrame((t) => this.loadingLoop(t));
     }
 
+    /**
+     * Load the level definitions from levels/ (the game can't start without
+     * them, so a failure is kept in loadError and shown instead)
+     */
+    async loadLevels() {
+        try {
+            this.sim.setLevels(await loadLevelSet('levels/'));
+        } catch (e) {
+            console.error('Could not load levels:', e);
+            this.loadError = ['Could not load the levels', e.message];
+        }
+    }
+
+    /**
+     * Load the recorded demo games listed in demos/index.json
+     * Without them, attract mode falls back to the aphid-only demo level
+     */
+    async loadDemos() {
+        try {
+            const index = await (await fetch('demos/index.json')).json();
+            const demos = await Promise.all(index.demos.map(async ({ file }) => {
+                const response = await fetch(`demos/${file}`);
+                return validateReplay(await response.json());
+            }));
+            this.sim.setDemos(demos);
+        } catch (e) {
+            console.warn('Demo games not available:', e);
+        }
+    }
+
     /**
      * Loading loop - display loading screen until all assets ready
      */
@@ -205,6 +762,12 @@ class ZGraf {
         this.renderer.ctx.fillStyle = '#000';
         this.renderer.ctx.fillRect(0, 0, this.renderer.width, this.renderer.height);
 
+        // Nothing to play - leave the reason on screen
+        if (this.loadError) {
+            this.renderer.drawLoadError(this.loadError);
+            return;
+        }
+
         // Check if all images are loaded
         if (this.renderer.allImagesLoaded) {
             // Transition to intro animation
@@ -220,8 +783,9 @@ class ZGraf {
      * Start intro zoom grid animation (from original Anim.c BenchmarkSystem)
      */
     startIntro() {
-        this.state = GameState.INTRO;
+        this.sim.state = GameState.INTRO;
         this.introZ = INTRO_Z_START;
+        this.clock.reset();
         this.lastTime = performance.now();
         requestAnimationFrame((t) => this.introLoop(t));
     }
@@ -231,11 +795,17 @@ class ZGraf {
      * with "please wait" loading image overlaid
      */
     introLoop(currentTime) {
-        const deltaTime = currentTime - this.lastTime;
+        const frameTime = currentTime - this.lastTime;
         this.lastTime = currentTime;
 
+        // Advance animation in fixed ticks
+        this.clock.advance(frameTime, (dt) => {
+            this.introZ -= INTRO_Z_STEP * frameScale(dt);
+        });
+
         // Clear and draw grid
-        this.renderer.beginFrame();
+        this.renderer.beginFrame(frameTime);
+        this.renderer.setCamera(this.introCamera);
         this.renderer.drawIntroGrid(this.introZ);
         this.renderer.endGameViewClip();  // Must restore clip state before endFrame
         this.renderer.endFrame();
@@ -243,10 +813,6 @@ class ZGraf {
         // Draw loading image on top (after endFrame so it's not overwritten)
         this.renderer.drawLoadingImage();
 
-        // Advance animation (scale step by frame time for consistency)
-        const dtScale = deltaTime / 16.67;
-        this.introZ -= INTRO_Z_STEP * dtScale;
-
         // Check if animation complete
         if (this.introZ <= INTRO_Z_END) {
             this.startAttractMode();
@@ -260,132 +826,285 @@ class ZGraf {
      * Start attract mode - demo with flashing "press to play"
      */
     startAttractMode() {
-        this.state = GameState.ATTRACT;
-        this.game.startLevel(0);  // Level 0 = attract/demo mode
-        this.canvas.style.cursor = 'default';
+        this.resetToAttractMode();
         this.lastTime = performance.now();
         requestAnimationFrame((t) => this.gameLoop(t));
     }
 
+    /**
+     * Put the game back in attract mode without starting another game loop
+     * (for use from inside the running one)
+     */
+    resetToAttractMode() {
+        this.sim.startAttractMode();
+        this.updateCursor();
+        this.clock.reset();
+    }
+
     /**
      * Start actual gameplay
      */
     startGame() {
-        this.state = GameState.PLAYING;
-        this.paused = false;
-        this.game.startLevel(1);
-        this.canvas.style.cursor = 'none';  // Hide cursor during gameplay
+        this.sim.startGame();
+        this.updateCursor();
     }
 
     /**
      * Restart game (from original Player.c 'R' key handler)
-     * Resets score, energy, velocity and starts level 1
      */
     restartGame() {
-        // From original Game.c lines 220-225:
-        // var(score) = 0;
-        // var(energy) = kMaxEnergy;
-        // objVar(thePlayer, zVel) = 0;
-        // (method(StartLevel), 1);
-        this.player.reset();
-        this.state = GameState.PLAYING;
-        this.paused = false;
-        this.game.startLevel(1);
-        this.canvas.style.cursor = 'none';
+        this.sim.restartGame();
+        this.updateCursor();
+    }
+
+    /**
+     * Anaglyph calibration keys (see CALIBRATION_HELP); F4 opens the screen
+     */
+    handleCalibrationKey(e) {
+        if (!this.calibrating) {
+            // Calibration tunes the matrix anaglyph, so switch to it
+            this.calibrating = true;
+            this.renderer.setStereoOutput(getStereoOutput('matrix'));
+            if (this.state === GameState.PLAYING) {
+                this.setPaused(true);
+            }
+            return;
+        }
+
+        const output = this.renderer.stereoOutput;
+        switch (e.key) {
+            case 'F4':
+            case 'Enter':
+            case 'Escape':
+                this.calibrating = false;
+                this.showNotice(`Stereo: ${output.label}`);
+                return;
+            case 'g':
+            case 'G':
+                output.cycleGlasses();
+                break;
+            case 'm':
+            case 'M':
+                output.cycleMethod();
+                break;
+            case 'c':
+            case 'C':
+                output.toggleEyeColors();
+                break;
+            case 'ArrowLeft':
+                this.calibrationEye = 'left';
+                break;
+            case 'ArrowRight':
+                this.calibrationEye = 'right';
+                break;
+            case 'ArrowUp':
+                output.adjustGhosting(this.calibrationEye, 0.01);
+                break;
+            case 'ArrowDown':
+                output.adjustGhosting(this.calibrationEye, -0.01);
+                break;
+        }
+
+        // Eye colors may have changed
+        this.renderer.setStereoOutput(output);
     }
 
     /**
-     * Debug: spawn a swarm of aphids around a random point
+     * Start a compositing benchmark in the current stereo mode, or stop
+     * showing the one that's running or finished
      */
-    spawnAphidSwarm(count) {
-        const { left, right, top, bottom, length } = CONFIG.TUNNEL;
+    toggleBenchmark() {
+        this.renderer.benchmark = this.renderer.benchmark
+            ? null
+            : new CompositeBenchmark(this.renderer.stereoOutput.label);
+    }
 
-        // Random center point for the swarm
-        const centerX = left + Math.random() * (right - left);
-        const centerY = top + Math.random() * (bottom - top);
-        const centerZ = Math.random() * length;
+    /**
+     * Draw the tunnel behind the player into the rear-view inset
+     * @param {Object} eye - Player's interpolated position this frame
+     * @param {number} alpha - Interpolation alpha from SimClock
+     */
+    drawRearView(eye, alpha) {
+        const rect = this.renderer.getRearViewLayout();
+        const camera = this.rearCamera;
 
-        // Spread range for individual aphids (moderate distances)
-        const spreadX = 4000;
-        const spreadY = 4000;
-        const spreadZ = 3000;
+        // Same field of view as the main view, scaled down to fit the inset
+        camera.setPosition(eye.x, eye.y, eye.z);
+        camera.center = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+        camera.eyeToScreen = this.camera.eyeToScreen * rect.width / this.renderer.getGameViewWidth();
 
-        for (let i = 0; i < count; i++) {
-            const x = centerX + (Math.random() - 0.5) * 2 * spreadX;
-            const y = centerY + (Math.random() - 0.5) * 2 * spreadY;
-            const z = centerZ + (Math.random() - 0.5) * 2 * spreadZ;
+        this.renderer.beginInset(rect);
+        this.tunnel.drawObjects(this.renderer, camera, { alpha });
+        this.renderer.endInset(rect);
+        this.renderer.setCamera(this.camera);
+    }
 
-            // Clamp to tunnel bounds
-            const clampedX = Math.max(left, Math.min(right, x));
-            const clampedY = Math.max(top, Math.min(bottom, y));
-            const clampedZ = ((z % length) + length) % length;
+    /**
+     * Show a message over the game view for a couple of seconds
+     */
+    showNotice(text) {
+        this.notice = text;
+        this.noticeTime = NOTICE_DURATION;
+    }
 
-            const aphid = new Aphid(clampedX, clampedY, clampedZ);
-            this.tunnel.addObject(aphid);
+    setPaused(paused) {
+        this.sim.setPaused(paused);
+        if (paused) {
+            this.pointer.unlock();
         }
+        this.updateCursor();
     }
 
-    setPaused(paused) {
-        this.paused = paused;
-        // Show cursor when paused, hide when playing
-        this.canvas.style.cursor = paused ? 'default' : 'none';
+    /**
+     * Hide cursor during active gameplay and editing, show it otherwise (paused, attract, game over)
+     */
+    updateCursor() {
+        const aiming = (this.state === GameState.PLAYING && !this.paused) || this.state === GameState.EDITING;
+        this.canvas.style.cursor = aiming ? 'none' : 'default';
+
+        // The pointer is only locked while aiming (a game ending lets it go)
+        if (!aiming) {
+            this.pointer.unlock();
+        }
+    }
+
+    /**
+     * High score initials: type letters, or step them with the arrow keys
+     */
+    handleInitialsKey(e) {
+        const entry = this.sim.initialsEntry;
+        switch (e.key) {
+            case 'ArrowUp':
+                entry.changeLetter(1);
+                break;
+            case 'ArrowDown':
+                entry.changeLetter(-1);
+                break;
+            case 'ArrowLeft':
+            case 'Backspace':
+                entry.moveCursor(-1);
+                break;
+            case 'ArrowRight':
+                entry.moveCursor(1);
+                break;
+            case 'Enter':
+                this.sim.submitInitials();
+                break;
+            default:
+                if (!entry.typeLetter(e.key)) return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Initials entry without a keyboard: Up/Down step the letter,
+     * Left/Right move between letters, pause (Start) finishes
+     */
+    handleInitialsAction(action) {
+        const entry = this.sim.initialsEntry;
+        switch (action) {
+            case 'up':
+                entry.changeLetter(1);
+                break;
+            case 'down':
+                entry.changeLetter(-1);
+                break;
+            case 'left':
+                entry.moveCursor(-1);
+                break;
+            case 'right':
+                entry.moveCursor(1);
+                break;
+            case 'pause':
+                this.sim.submitInitials();
+                break;
+        }
+    }
+
+    /**
+     * Editor HUD text: level, selection and key help
+     */
+    getEditorLines() {
+        const editor = this.sim.editor;
+        const mode = editor.previewing ? 'preview' : (editor.grabbing ? 'moving' : 'paused');
+        return [
+            `Level editor - level ${editor.levelNum} (${mode})`,
+            editor.describeSelected() ?? 'Nothing selected',
+            `Velocity axis: ${editor.velocityAxis}`,
+            '',
+            `${this.bindings.describe('forward', 1)}/${this.bindings.describe('backward', 1)}: fly`,
+            ...EDITOR_HELP
+        ];
     }
 
     gameLoop(currentTime) {
-        const deltaTime = currentTime - this.lastTime;
+        let frameTime = currentTime - this.lastTime;
         this.lastTime = currentTime;
 
-        // Update game state based on Game class state
-        if (this.game.isGameOver && this.state !== GameState.GAME_OVER) {
-            this.state = GameState.GAME_OVER;
-            this.canvas.style.cursor = 'default';
-        }
-        if (this.game.isAttractMode() && this.state === GameState.GAME_OVER) {
-            // Game over timer expired, now in attract mode
-            this.state = GameState.ATTRACT;
+        // While recording, every frame drawn is one recorded frame of game
+        // time, however long it takes in real time
+        if (this.capture.recording) {
+            if (!this.capture.isFrameDue(currentTime)) {
+                requestAnimationFrame((t) => this.gameLoop(t));
+                return;
+            }
+            frameTime = this.capture.frameInterval;
         }
 
-        // Update logic depends on state
-        switch (this.state) {
-            case GameState.ATTRACT:
-                // In attract mode: player moves forward at constant speed
-                // (from original Player.c GetDemoInput)
-                this.player.updateAttractMode(deltaTime);
-                this.tunnel.processObjects(deltaTime);
-                this.game.update(deltaTime);
-                break;
+        // Held actions and aim go into the simulation's input before it ticks
+        this.gamepad.poll();
+        this.pointer.update(frameTime);
+        if ((this.state === GameState.PLAYING && !this.paused) || this.state === GameState.EDITING) {
+            this.input.applyTo(this.sim.input, this.player, frameTime);
+        } else {
+            this.input.clearPending();
+        }
 
-            case GameState.PLAYING:
-                if (!this.paused) {
-                    this.player.update(deltaTime);
-                    this.tunnel.processObjects(deltaTime);
-                    this.tunnel.checkCollisions();
-                    this.game.update(deltaTime);
-                }
-                break;
+        // Run as many fixed ticks as real time allows; alpha is how far
+        // we are into the next tick, used to interpolate rendering
+        const alpha = this.clock.advance(frameTime, (dt) => this.sim.tick(dt));
 
-            case GameState.GAME_OVER:
-                // Objects keep moving during game over
-                this.tunnel.processObjects(deltaTime);
-                this.game.update(deltaTime);
-                break;
+        // Replay ran out mid-game - back to attract mode
+        // (a replay that ends in game over goes through the game over screen first)
+        if (this.sim.isReplayFinished() && this.state === GameState.PLAYING && !this.game.isGameOver) {
+            this.resetToAttractMode();
         }
+        this.updateCursor();
+
+        // Demo games play silently
+        audio.muted = this.state === GameState.ATTRACT;
 
-        // Render (always)
-        this.renderer.beginFrame();
+        // Render (always), at the current resolution (devicePixelRatio changes
+        // when the window moves to another screen or the page is zoomed)
+        this.updatePixelRatio();
+        const renderStart = performance.now();
+        this.renderer.beginFrame(frameTime);
 
         // If player was hit, draw full-screen flash instead of objects (from original Anim.c)
         if (this.player.wasHit) {
             this.renderer.drawHitFlash();
             this.player.wasHit = false;
         } else {
-            // Draw objects with crosshairs at their logical Z depth (only during gameplay)
+            const eye = this.player.getRenderPosition(alpha);
+            this.camera.setPosition(eye.x, eye.y, eye.z);
+            this.renderer.setCamera(this.camera);
+
+            // Draw objects with crosshairs at their logical Z depth (only during gameplay and demos)
             // Crosshairs are inserted into the depth-sorted rendering so closer objects occlude them
-            const crosshairsOptions = this.state === GameState.PLAYING ? {
+            const showCrosshairs = this.state === GameState.PLAYING || this.state === GameState.EDITING ||
+                                   this.game.isDemo;
+            // Crosshairs blink while the player is invulnerable after respawning
+            const blinkOff = this.player.isInvulnerable() && Math.floor(this.player.invulnerableTime / 125) % 2 === 1;
+            const drawOptions = showCrosshairs && !blinkOff ? {
+                alpha,
                 crosshairsZ: this.renderer.getCrosshairsZ(),
                 drawCrosshairs: () => this.renderer.drawCrosshairs()
-            } : {};
-            this.tunnel.drawObjects(this.renderer, crosshairsOptions);
+            } : { alpha };
+            this.tunnel.drawObjects(this.renderer, this.camera, drawOptions);
+
+            if (this.rearView && this.state !== GameState.EDITING) {
+                this.drawRearView(eye, alpha);
+            }
         }
 
         // End game view clipping before drawing UI elements
@@ -394,13 +1113,61 @@ class ZGraf {
         // Draw status panel (radar, score, level, energy) - after clipping removed
         this.tunnel.drawStatusPanel(this.renderer);
 
-        this.game.drawStatus(this.renderer);
+        if (this.state === GameState.EDITING) {
+            this.renderer.drawTextOverlay(this.getEditorLines());
+        } else if (this.state === GameState.ENTER_INITIALS) {
+            this.renderer.drawInitialsEntry(this.sim.initialsEntry);
+        } else if (this.state === GameState.ATTRACT && this.sim.showingHighScores) {
+            this.renderer.drawHighScoreTable(this.sim.highScores.entries, this.sim.lastHighScoreRank,
+                                             this.game.getAttractModeSeconds());
+        } else {
+            this.game.drawStatus(this.renderer);
+        }
 
-        if (this.paused && this.state === GameState.PLAYING) {
+        // Touch buttons while playing (a tap anywhere starts a game or unpauses)
+        const touchButtons = this.touch.active && this.state === GameState.PLAYING && !this.paused;
+        this.touch.buttons = touchButtons ? this.renderer.getTouchControlsLayout() : [];
+        if (touchButtons) {
+            this.renderer.drawTouchControls(this.touch.buttons, (action) => this.input.isHeld(action));
+        }
+
+        if (this.paused && this.state === GameState.PLAYING && !this.controls && !this.settingsMenu) {
             this.renderer.drawPauseOverlay();
         }
 
+        if (this.controls) {
+            this.renderer.drawMenu('Controls', this.controls.getRows(), this.controls.selected,
+                                   this.controls.getHelp());
+        } else if (this.settingsMenu) {
+            this.renderer.drawMenu('Settings', this.settingsMenu.getRows(), this.settingsMenu.selected,
+                                   this.settingsMenu.getHelp());
+        }
+
+        if (this.calibrating) {
+            this.renderer.drawAnaglyphCalibration(this.renderer.stereoOutput.settings, this.calibrationEye,
+                                                  [this.renderer.stereoOutput.label, '', ...CALIBRATION_HELP]);
+        }
+
+        if (this.renderer.benchmark) {
+            this.renderer.drawTextOverlay(this.renderer.benchmark.getLines(this.renderer.pixelWidth,
+                                                                          this.renderer.pixelHeight));
+        }
+
+        if (this.notice) {
+            this.renderer.drawNotice(this.notice);
+            this.noticeTime -= frameTime;
+            if (this.noticeTime <= 0) {
+                this.notice = null;
+            }
+        }
+
         this.renderer.endFrame();
+        this.capture.captureFrame();
+
+        // Dynamic resolution is held still while recording or benchmarking
+        if (!this.capture.recording && !this.renderer.benchmark) {
+            this.resolution.update(performance.now() - renderStart, currentTime);
+        }
 
         requestAnimationFrame((t) => this.gameLoop(t));
     }
@@ -7,6 +7,8 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { rng } from '../random.js';
+import { frameScale } from '../clock.js';
 import { audio } from '../audio.js';
 
 // Aphid shape from zOBJ 134: plus sign with center square
@@ -22,7 +24,10 @@ const APHID_SHAPE = [
 ];
 
 export class Aphid extends Vis {
-    constructor(x, y, z) {
+    /**
+     * @param {number} speedFactor - Game speed its velocities are scaled by
+     */
+    constructor(x, y, z, speedFactor = CONFIG.SPEED_FACTOR) {
         super(x, y, z);
 
         const cfg = CONFIG.ENEMIES.aphid;
@@ -34,20 +39,20 @@ export class Aphid extends Vis {
         this.shade = CONFIG.SHADES.aphid;
 
         // Flocking state (from original Aphid.c)
-        this.angle = Math.floor(Math.random() * 360);
+        this.angle = Math.floor(rng.next() * 360);
         this.newAngle = this.angle;
         this.velocity = cfg.initialVelocity;  // 10
-        this.direction = Math.random() > 0.5 ? 1 : -1;
+        this.direction = rng.next() > 0.5 ? 1 : -1;
 
         // Initial velocities from angle
         this.calcVectors();
 
         // Random Z velocity (from original: FRand(-f100, f100)), scaled
-        this.vz = (Math.random() - 0.5) * 200 * CONFIG.SPEED_FACTOR;
+        this.vz = (rng.next() - 0.5) * 200 * speedFactor;
 
         // Max velocities (from original), scaled
-        this.maxVelocity = cfg.maxVelocity * CONFIG.SPEED_FACTOR;        // 30
-        this.maxAxisVelocity = cfg.maxAxisVelocity * CONFIG.SPEED_FACTOR; // 100
+        this.maxVelocity = cfg.maxVelocity * speedFactor;        // 30
+        this.maxAxisVelocity = cfg.maxAxisVelocity * speedFactor; // 100
     }
 
     calcVectors() {
@@ -64,7 +69,7 @@ export class Aphid extends Vis {
         // Don't move while exploding or forming
         if (this.isExploding || this.isForming) return;
 
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
 
         // Flocking logic from original Aphid.c Process method
         if (this.tunnel) {
@@ -7,6 +7,8 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { rng } from '../random.js';
+import { audio } from '../audio.js';
 
 export class Blocker extends Vis {
     constructor(x, y, z, isHorz = true, width = null) {
@@ -16,7 +18,7 @@ export class Blocker extends Vis {
 
         // From original: random width between 100-1000 (in fixed point)
         // Scaled ×2 for our tunnel size
-        const barWidth = width !== null ? width : (100 + Math.random() * 900) * 2;
+        const barWidth = width !== null ? width : (100 + rng.next() * 900) * 2;
 
         this.isHorz = isHorz;
         this.barWidth = barWidth;
@@ -31,6 +33,8 @@ export class Blocker extends Vis {
             this.bBottom = y + barWidth;
             this.extentX = (CONFIG.TUNNEL.right - CONFIG.TUNNEL.left) / 2;
             this.extentY = barWidth;
+            // Centered across the tunnel, so the extents line up for collisions
+            this.x = (CONFIG.TUNNEL.left + CONFIG.TUNNEL.right) / 2;
         } else {
             this.bLeft = x - barWidth;
             this.bRight = x + barWidth;
@@ -38,6 +42,7 @@ export class Blocker extends Vis {
             this.bBottom = CONFIG.TUNNEL.bottom;
             this.extentX = barWidth;
             this.extentY = (CONFIG.TUNNEL.bottom - CONFIG.TUNNEL.top) / 2;
+            this.y = (CONFIG.TUNNEL.top + CONFIG.TUNNEL.bottom) / 2;
         }
 
         this.thick = cfg.thick;
@@ -89,6 +94,7 @@ export class Blocker extends Vis {
         if (typeName === 'PShot') {
             // Blockers can be destroyed by shots
             this.explode(other.x, other.y);
+            audio.play('collision');
         }
     }
 }
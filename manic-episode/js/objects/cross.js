@@ -7,6 +7,7 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { frameScale } from '../clock.js';
 import { audio } from '../audio.js';
 
 // Cross shape: hash symbol (#) with 4 bars
@@ -48,7 +49,7 @@ export class Cross extends Vis {
         // Don't move while exploding or forming
         if (this.isExploding || this.isForming) return;
 
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
 
         // Apply velocities (from original Vis.Process)
         this.x += this.vx * dtScale;
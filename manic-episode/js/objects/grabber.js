@@ -7,6 +7,8 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { frameScale } from '../clock.js';
+import { audio } from '../audio.js';
 
 // Grabber shape from zOBJ 128: arch/gateway with pillars
 // Original sizeFactor: 75
@@ -32,8 +34,12 @@ const GRABBER_SHAPE = [
 ];
 
 export class Grabber extends Vis {
-    constructor(x, y, z) {
+    /**
+     * @param {number} speedFactor - Game speed its homing is scaled by
+     */
+    constructor(x, y, z, speedFactor = CONFIG.SPEED_FACTOR) {
         super(x, y, z);
+        this.speedFactor = speedFactor;
 
         // sizeFactor=75 from resource, ×2 for our tunnel scale
         this.shapeScale = 150;
@@ -43,10 +49,18 @@ export class Grabber extends Vis {
         this.thick = 30;
         this.shade = 0.6;
 
+        // Collides as its whole bounding box (the Vis default), not the arch
+        // shape: anything flying through the gateway gets grabbed, and shots
+        // fired through it while latched still hit
+
         // Velocities set by Game - default to 0
         this.vx = 0;
         this.vy = 0;
         this.vz = 0;
+
+        // Latched onto the player (rides in front of it until shot off)
+        this.latchedTo = null;
+        this.drainAccum = 0;
     }
 
     update(dt) {
@@ -55,7 +69,24 @@ export class Grabber extends Vis {
         // Don't move while exploding or forming
         if (this.isExploding || this.isForming) return;
 
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
+        const cfg = CONFIG.ENEMIES.grabber;
+
+        if (this.latchedTo) {
+            this.holdOn(this.latchedTo, dtScale);
+            return;
+        }
+
+        // Home in on the player's x/y when it's close ahead
+        const player = this.tunnel && this.tunnel.player;
+        if (player) {
+            const relZ = this.getZFromPlayer(player.z);
+            if (relZ > 0 && relZ < cfg.trackDistance) {
+                const step = cfg.trackSpeed * this.speedFactor * dtScale;
+                this.x += Math.max(-step, Math.min(step, player.x - this.x));
+                this.y += Math.max(-step, Math.min(step, player.y - this.y));
+            }
+        }
 
         // Apply velocities
         this.x += this.vx * dtScale;
@@ -69,34 +100,67 @@ export class Grabber extends Vis {
         this.wrapZ();
     }
 
-    draw(renderer) {
-        this.drawShape(renderer, GRABBER_SHAPE, this.shapeScale);
+    /**
+     * Grab the player - from now on we ride in front of it
+     */
+    latch(player) {
+        this.latchedTo = player;
+        player.grabber = this;
+        this.drainAccum = 0;
+        this.vx = 0;
+        this.vy = 0;
+        this.vz = 0;
+        audio.play('grabberLatch');
     }
 
-    getCollisionRects() {
-        const s = this.shapeScale;
-        return GRABBER_SHAPE.map(([left, top, right, bottom]) => ({
-            left: left * s,
-            top: top * s,
-            right: right * s,
-            bottom: bottom * s
-        }));
+    /**
+     * While latched: stay in front of the player, drag its speed down and drain energy
+     */
+    holdOn(player, dtScale) {
+        const cfg = CONFIG.ENEMIES.grabber;
+
+        this.x = player.x;
+        this.y = player.y;
+        this.z = player.z + cfg.latchDistance;
+        this.wrapZ();
+
+        player.vz *= Math.pow(cfg.drag, dtScale);
+
+        this.drainAccum += dtScale;
+        while (this.drainAccum >= cfg.drainInterval) {
+            this.drainAccum -= cfg.drainInterval;
+            player.energy = Math.max(0, player.energy - 1);
+            audio.play('grabberDrain');
+        }
+    }
+
+    /**
+     * Let go of the player (shot off)
+     */
+    release() {
+        if (this.latchedTo && this.latchedTo.grabber === this) {
+            this.latchedTo.grabber = null;
+        }
+        this.latchedTo = null;
+    }
+
+    draw(renderer) {
+        this.drawShape(renderer, GRABBER_SHAPE, this.shapeScale);
     }
 
     onCollide(other) {
         const typeName = other.constructor.name;
         if (typeName === 'PShot') {
-            // Explode from shot's position
+            // Explode from shot's position (shooting it off frees the player)
+            this.release();
             this.explode(other.x, other.y);
+            audio.play('grabberHit');
             if (this.tunnel && this.tunnel.game) {
                 this.tunnel.game.hitOne();
             }
-        } else if (typeName === 'Player') {
-            // Explode from center when hitting player
-            this.explode(this.x, this.y);
-            if (this.tunnel && this.tunnel.game) {
-                this.tunnel.game.hitOne();
-            }
+        } else if (typeName === 'Player' && !this.latchedTo && !other.grabber) {
+            // Only one grabber holds on at a time
+            this.latch(other);
         }
     }
 }
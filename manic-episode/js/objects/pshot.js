@@ -7,6 +7,7 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { frameScale } from '../clock.js';
 
 // Authentic PShot shape from zOBJ 129: simple filled square
 // sizeFactor: 7
@@ -36,7 +37,7 @@ export class PShot extends Vis {
     }
 
     update(dt) {
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
 
         // Move forward
         this.z += this.vz * dtScale;
@@ -7,6 +7,8 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { rng } from '../random.js';
+import { frameScale } from '../clock.js';
 import { SShot } from './sshot.js';
 import { audio } from '../audio.js';
 
@@ -30,7 +32,10 @@ const SAUCER_SHAPE = [
 ];
 
 export class Saucer extends Vis {
-    constructor(x, y, z) {
+    /**
+     * @param {number} speedFactor - Game speed its movement and shots are scaled by
+     */
+    constructor(x, y, z, speedFactor = CONFIG.SPEED_FACTOR) {
         super(x, y, z);
 
         const cfg = CONFIG.ENEMIES.saucer;
@@ -47,8 +52,9 @@ export class Saucer extends Vis {
         this.vz = 0;
 
         // Max x/y velocity - set by Game.addSaucer() based on level
-        // Default to full speed (100 * SPEED_FACTOR)
-        this.maxXYSpeed = 100 * CONFIG.SPEED_FACTOR;
+        // Default to full speed (100 * speedFactor)
+        this.speedFactor = speedFactor;
+        this.maxXYSpeed = 100 * speedFactor;
 
         // Shooting state (from original Saucer.c)
         this.fShotTimer = 0;
@@ -63,7 +69,7 @@ export class Saucer extends Vis {
         // Don't move while exploding or forming
         if (this.isExploding || this.isForming) return;
 
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
 
         // Apply velocities
         this.x += this.vx * dtScale;
@@ -85,7 +91,7 @@ export class Saucer extends Vis {
 
             if (this.fShotTimer <= 0) {
                 // Only shoot when within range and with random chance
-                if (Math.abs(zFromPlayer) < this.fShootDistance && Math.random() > 0.95) {
+                if (Math.abs(zFromPlayer) < this.fShootDistance && rng.next() > 0.95) {
                     const xDist = player.x - this.x;
                     const yDist = player.y - this.y;
 
@@ -105,7 +111,7 @@ export class Saucer extends Vis {
             }
 
             // Slow drift toward player (from original: ±1 per frame, 50% chance)
-            if (Math.random() > 0.5) {
+            if (rng.next() > 0.5) {
                 if (player.x < this.x) this.vx -= 1 * dtScale;
                 if (player.x > this.x) this.vx += 1 * dtScale;
                 if (player.y < this.y) this.vy -= 1 * dtScale;
@@ -124,7 +130,7 @@ export class Saucer extends Vis {
     shootAtPlayer(xDist, yDist, zFromPlayer) {
         if (!this.tunnel) return;
 
-        const sf = CONFIG.SPEED_FACTOR;
+        const sf = this.speedFactor;
 
         // Direction toward player (simplified from original)
         let xDir = 0, yDir = 0;
@@ -7,6 +7,7 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { frameScale } from '../clock.js';
 
 // Authentic SShot shape from zOBJ 130: hollow square
 // sizeFactor: 25
@@ -34,7 +35,7 @@ export class SShot extends Vis {
     }
 
     update(dt) {
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
 
         // Apply velocity
         this.x += this.vx * dtScale;
@@ -7,6 +7,7 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { frameScale } from '../clock.js';
 
 // Single solid rectangle for explosion testing
 const TESTSQUARE_SHAPE = [
@@ -39,7 +40,7 @@ export class TestSquare extends Vis {
     update(dt) {
         super.update(dt);
 
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
 
         // Apply velocities
         this.x += this.vx * dtScale;
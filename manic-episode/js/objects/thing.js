@@ -7,6 +7,7 @@
 
 import { CONFIG } from '../config.js';
 import { Vis } from './vis.js';
+import { rng } from '../random.js';
 
 // Thing shape from zOBJ 131: concentric squares with cross in center
 // sizeFactor: 100
@@ -41,7 +42,7 @@ export class Thing extends Vis {
         this.vz = 0;
 
         // Gentle bobbing motion for visual effect
-        this.bobPhase = Math.random() * Math.PI * 2;
+        this.bobPhase = rng.next() * Math.PI * 2;
         this.bobSpeed = 0.003;
     }
 
@@ -6,6 +6,7 @@
  */
 
 import { CONFIG } from '../config.js';
+import { frameScale } from '../clock.js';
 
 export class Vis {
     constructor(x = 0, y = 0, z = 0) {
@@ -19,6 +20,11 @@ export class Vis {
         this.vy = 0;
         this.vz = 0;
 
+        // Position at the start of the current tick (for render interpolation)
+        this.prevX = x;
+        this.prevY = y;
+        this.prevZ = z;
+
         // Bounding box (half-widths from center)
         this.extentX = 100;
         this.extentY = 100;
@@ -256,13 +262,43 @@ export class Vis {
     }
 
     /**
-     * Update object each frame
-     * @param {number} dt - Delta time in ms
+     * Remember current position as the start of this tick
+     * Called by Tunnel before each update; also used to snap after teleports
+     */
+    savePrevious() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevZ = this.z;
+    }
+
+    /**
+     * Get position blended between the previous and current tick
+     * Z blends along the shortest wrapped path so objects crossing the
+     * tunnel seam don't sweep back through the whole tunnel
+     * @param {number} alpha - 0 = previous tick, 1 = current tick
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getRenderPosition(alpha) {
+        const len = CONFIG.TUNNEL.length;
+        let dz = this.z - this.prevZ;
+        if (dz > len / 2) dz -= len;
+        else if (dz < -len / 2) dz += len;
+
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha,
+            z: this.prevZ + dz * alpha
+        };
+    }
+
+    /**
+     * Update object by one simulation tick
+     * @param {number} dt - Tick length in ms (fixed, see clock.js)
      */
     update(dt) {
-        // Framerate-independent timing using delta time
-        // dtScale = 1.0 at 60fps, scales proportionally at other framerates
-        const dtScale = dt / 16.67;
+        // dt is always one fixed tick; dtScale converts it to original
+        // 60fps frames so per-frame constants from the Mac source still apply
+        const dtScale = frameScale(dt);
 
         // Handle formation animation (pieces fly inward)
         // Original: stdFormIncr = S2F(200), stdFormSteps = 15
@@ -9,6 +9,7 @@ import { CONFIG } from './config.js';
 import { Vis } from './objects/vis.js';
 import { PShot } from './objects/pshot.js';
 import { audio } from './audio.js';
+import { frameScale } from './clock.js';
 
 export class Player extends Vis {
     constructor(tunnel) {
@@ -16,6 +17,9 @@ export class Player extends Vis {
 
         this.tunnel = tunnel;
 
+        // Game speed movement and shots are scaled by (set by Simulation per game)
+        this.speedFactor = CONFIG.SPEED_FACTOR;
+
         // Player extent (from original: stdExtent = ±500)
         this.extentX = 500;
         this.extentY = 500;
@@ -35,35 +39,76 @@ export class Player extends Vis {
         // Player stats (original used energy only, no lives)
         this.energy = CONFIG.PLAYER.startEnergy;
         this.score = 0;
+        this.lives = CONFIG.PLAYER.startLives;
+        this.extraLivesAwarded = 0;
+
+        // ms left of post-respawn invulnerability
+        this.invulnerableTime = 0;
 
         // Shooting
         this.shots = [];
-        this.lastShotTime = 0;
+        this.shotCooldown = 0;  // ms until next shot allowed (counted in ticks)
 
         // Damage flash (from original: wasHit flag triggers single-frame flash)
         this.wasHit = false;
 
+        // Grabber latched onto us, if any (it drains energy and drags speed)
+        this.grabber = null;
+
         // Don't form/explode player
         this.isForming = false;
     }
 
     setMousePosition(x, y) {
+        const aim = this.mouseToAim(x, y);
+        this.setAim(aim.x, aim.y);
+    }
+
+    /**
+     * Map a screen position (relative to view center) to tunnel coordinates
+     */
+    mouseToAim(x, y) {
         // Original: xEyePos = xMouseFactor * (xMouseAbs - xScreenCtr)
         // x, y are already screen coords relative to center
-        this.x = this.xMouseFactor * x;
-        this.y = this.yMouseFactor * y;
+        return {
+            x: this.xMouseFactor * x,
+            y: this.yMouseFactor * y
+        };
+    }
 
-        // Clamp to tunnel bounds (minus player extent)
+    /**
+     * Nearest cross-section position the player can be at
+     * (tunnel bounds, minus player extent)
+     */
+    clampAim(x, y) {
         const { left, right, top, bottom } = CONFIG.TUNNEL;
-        this.x = Math.max(left + this.extentX, Math.min(right - this.extentX, this.x));
-        this.y = Math.max(top + this.extentY, Math.min(bottom - this.extentY, this.y));
+        return {
+            x: Math.max(left + this.extentX, Math.min(right - this.extentX, x)),
+            y: Math.max(top + this.extentY, Math.min(bottom - this.extentY, y))
+        };
+    }
+
+    /**
+     * Move the player to a tunnel cross-section position
+     */
+    setAim(x, y) {
+        const aim = this.clampAim(x, y);
+        this.x = aim.x;
+        this.y = aim.y;
     }
 
     update(dt) {
-        // dtScale converts from milliseconds to frames (at 60fps)
-        const dtScale = dt / 16.67;
+        // Player isn't in tunnel.objects, so snapshot for interpolation here
+        this.savePrevious();
+
+        // Respawn formation and invulnerability count down
+        super.update(dt);
+        this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
+
+        // dtScale converts the fixed tick (ms) to original frames (at 60fps)
+        const dtScale = frameScale(dt);
         const cfg = CONFIG.PLAYER;
-        const speedFactor = CONFIG.SPEED_FACTOR;
+        const speedFactor = this.speedFactor;
 
         // Scaled acceleration and max speed
         const accel = cfg.accelStep * speedFactor;
@@ -99,9 +144,13 @@ export class Player extends Vis {
         const len = CONFIG.TUNNEL.length;
         this.z = ((this.z % len) + len) % len;
 
+        // Shot cooldown runs on simulation time, not wall-clock time
+        this.shotCooldown = Math.max(0, this.shotCooldown - dt);
+
         // Update shots
         for (let i = this.shots.length - 1; i >= 0; i--) {
             const shot = this.shots[i];
+            shot.savePrevious();
             shot.update(dt);
 
             // Remove shots that are too far or marked for removal
@@ -114,18 +163,17 @@ export class Player extends Vis {
     }
 
     fire() {
-        const now = performance.now();
-        if (now - this.lastShotTime < CONFIG.PLAYER.shotCooldown) {
+        if (this.shotCooldown > 0) {
             return;
         }
 
         // From original PShot.c: IPShot takes player x, y, and zVel
         // Shot velocity = player zVel + base shot speed (scaled)
         const shot = new PShot(this.x, this.y, this.z);
-        shot.vz = this.vz + CONFIG.PLAYER.shotSpeed * CONFIG.SPEED_FACTOR;
+        shot.vz = this.vz + CONFIG.PLAYER.shotSpeed * this.speedFactor;
         shot.tunnel = this.tunnel;
         this.shots.push(shot);
-        this.lastShotTime = now;
+        this.shotCooldown = CONFIG.PLAYER.shotCooldown;
         audio.play('playerFire');
     }
 
@@ -147,8 +195,28 @@ export class Player extends Vis {
                    typeName === 'Aphid' || typeName === 'SShot') {
             // Enemy collision: -1 energy per hit (from original Player.c Collided)
             this.takeDamage(1);
+        } else if (typeName === 'Blocker') {
+            // Blockers don't deal damage in original, but they're solid
+            this.bounceOff(other);
         }
-        // Blockers don't deal damage in original
+        // Grabbers latch on (handled by Grabber.onCollide)
+    }
+
+    /**
+     * Rebound off a blocker, back the way we came
+     */
+    bounceOff(blocker) {
+        const cfg = CONFIG.ENEMIES.blocker;
+        const minBounce = cfg.minBounce * this.speedFactor;
+
+        // Direction away from the blocker (-1 = we're in front of it)
+        const away = blocker.getZFromPlayer(this.z) >= 0 ? -1 : 1;
+
+        // Already moving clear of it
+        if (Math.sign(this.vz) === away && Math.abs(this.vz) >= minBounce) return;
+
+        this.vz = away * Math.max(minBounce, Math.abs(this.vz) * cfg.bounce);
+        audio.play('collision');
     }
 
     takeDamage(amount) {
@@ -163,6 +231,48 @@ export class Player extends Vis {
 
     addScore(points) {
         this.score += points;
+
+        // Extra lives at score thresholds
+        while (this.score >= this.getExtraLifeScore(this.extraLivesAwarded)) {
+            this.extraLivesAwarded++;
+            this.lives++;
+            audio.play('extraLife');
+        }
+    }
+
+    /**
+     * Score at which the nth extra life (from 0) is awarded
+     */
+    getExtraLifeScore(n) {
+        const { extraLifeScores, extraLifeEvery } = CONFIG.PLAYER;
+        if (n < extraLifeScores.length) {
+            return extraLifeScores[n];
+        }
+        return extraLifeScores[extraLifeScores.length - 1] + (n - extraLifeScores.length + 1) * extraLifeEvery;
+    }
+
+    /**
+     * Come back after losing a life: full energy, stopped, and briefly
+     * invulnerable while the ship re-forms
+     */
+    respawn() {
+        this.energy = CONFIG.PLAYER.startEnergy;
+        this.vz = 0;
+        this.wasHit = false;
+        this.invulnerableTime = CONFIG.PLAYER.invulnerableTime;
+
+        this.isForming = true;
+        this.formAccum = 0;
+        this.initForm(200, 15);
+    }
+
+    isInvulnerable() {
+        return this.isForming || this.invulnerableTime > 0;
+    }
+
+    collidesWith(other) {
+        if (this.isInvulnerable()) return false;
+        return super.collidesWith(other);
     }
 
     isDead() {
@@ -177,8 +287,17 @@ export class Player extends Vis {
         this.vz = 0;
         this.energy = CONFIG.PLAYER.startEnergy;
         this.score = 0;
+        this.lives = CONFIG.PLAYER.startLives;
+        this.extraLivesAwarded = 0;
+        this.invulnerableTime = 0;
+        this.isForming = false;
+        this.expl = null;
         this.shots = [];
+        this.shotCooldown = 0;
         this.wasHit = false;
+        this.grabber = null;
+        // Teleported - don't interpolate from the old position
+        this.savePrevious();
     }
 
     /**
@@ -189,7 +308,9 @@ export class Player extends Vis {
     updateAttractMode(dt) {
         // From original: demoCruisingSpeed = S2F(10) × speedFactor
         // Tuned for gentle forward movement in attract mode
-        const demoCruisingSpeed = 14 * CONFIG.SPEED_FACTOR;
+        const demoCruisingSpeed = 14 * this.speedFactor;
+
+        this.savePrevious();
 
         // Center position (from original: var(x) = var(y) = 0L)
         this.x = 0;
@@ -199,7 +320,7 @@ export class Player extends Vis {
         this.vz = demoCruisingSpeed;
 
         // Apply Z velocity
-        const dtScale = dt / 16.67;
+        const dtScale = frameScale(dt);
         this.z += this.vz * dtScale;
 
         // Wrap Z position around tunnel length
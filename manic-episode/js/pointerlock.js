@@ -0,0 +1,115 @@
+/*
+ * ZGraf Web - Pointer Lock Mouse
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// Optional relative mouse aiming ("Capture mouse" in the settings menu, or
+// ?pointerlock in the URL). The absolute mouse maps the cursor's place in the
+// window to the tunnel, so aiming stops at the window edge and is finer one
+// way than the other on wide screens. With the pointer locked, the cursor is hidden
+// and held in place, and each mouse movement moves the aim by the same
+// amount in x and y (set from the settings menu):
+//   sensitivity - how far (× POINTER_LOCK_UNITS tunnel units per count)
+//   invertY     - moving the mouse forward moves the aim down
+//   smoothing   - 0 (raw) to 0.9; how much of the movement still to
+//                 come carries over each 60th of a second
+// The lock is taken by a click while playing and let go on pause.
+
+// Tunnel units the aim moves per mouse count at sensitivity 1
+const POINTER_LOCK_UNITS = 16;
+
+export class PointerLockInput {
+    /**
+     * @param {HTMLCanvasElement} canvas - Element to lock the pointer to
+     * @param {InputManager} input - Where aim movement goes
+     * @param {Function} onChange - Called with (locked) when the lock is taken or lost
+     */
+    constructor(canvas, input, onChange = null) {
+        this.canvas = canvas;
+        this.input = input;
+        this.onChange = onChange;
+        this.enabled = CONFIG.PLAYER.pointerLock;
+
+        // Mouse settings (see above); main.js applies the saved ones
+        this.sensitivity = CONFIG.PLAYER.mouseSensitivity;
+        this.invertY = CONFIG.PLAYER.mouseInvertY;
+        this.smoothing = CONFIG.PLAYER.mouseSmoothing;
+
+        // Movement not yet passed on (tunnel units), held back by smoothing
+        this.pendingX = 0;
+        this.pendingY = 0;
+
+        this.supported = 'requestPointerLock' in canvas;
+
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.locked) return;
+            const scale = this.sensitivity * POINTER_LOCK_UNITS;
+            this.pendingX += e.movementX * scale;
+            this.pendingY += e.movementY * scale * (this.invertY ? -1 : 1);
+        });
+
+        document.addEventListener('pointerlockchange', () => {
+            if (!this.locked) {
+                this.pendingX = 0;
+                this.pendingY = 0;
+            }
+            this.onChange?.(this.locked);
+        });
+        document.addEventListener('pointerlockerror', () => {
+            console.warn('Could not lock the mouse pointer');
+        });
+    }
+
+    get locked() {
+        return document.pointerLockElement === this.canvas;
+    }
+
+    /**
+     * Take the pointer (only works in a click or key handler)
+     */
+    lock() {
+        if (!this.enabled || !this.supported || this.locked) return;
+        // Newer browsers return a promise, which rejects if the lock is refused
+        this.canvas.requestPointerLock()?.catch?.(() => {});
+    }
+
+    unlock() {
+        if (this.locked) {
+            document.exitPointerLock();
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.unlock();
+        }
+    }
+
+    /**
+     * Pass this frame's share of the mouse movement on to the aim
+     * @param {number} dt - Frame time (ms)
+     */
+    update(dt) {
+        if (this.pendingX === 0 && this.pendingY === 0) return;
+
+        const smoothing = Math.max(0, Math.min(0.9, this.smoothing));
+        const carry = Math.pow(smoothing, dt / (1000 / 60));
+        const moveX = this.pendingX * (1 - carry);
+        const moveY = this.pendingY * (1 - carry);
+
+        this.input.moveAim(moveX, moveY);
+        this.pendingX -= moveX;
+        this.pendingY -= moveY;
+
+        // Don't carry on creeping by fractions of a unit
+        if (Math.abs(this.pendingX) < 1 && Math.abs(this.pendingY) < 1) {
+            this.pendingX = 0;
+            this.pendingY = 0;
+        }
+    }
+}
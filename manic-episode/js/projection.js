@@ -5,18 +5,10 @@
  * SPDX-License-Identifier: MIT
  */
 
-import { CONFIG } from './config.js';
-
-// Eye position in world coordinates (controlled by player)
-export let eyeX = 0;
-export let eyeY = 0;
-export let eyeZ = 0;
-
-export function setEyePosition(x, y, z) {
-    eyeX = x;
-    eyeY = y;
-    eyeZ = z;
-}
+// Projection through a Camera (camera.js): the camera gives the eye
+// position, projection distance, eye separation and visible depth range.
+// Points go to camera space first (camera at the origin, wrap-aware z),
+// then to the screen.
 
 /**
  * Project a 3D world point to 2D screen coordinates
@@ -24,30 +16,33 @@ export function setEyePosition(x, y, z) {
  *   screenX = (worldX - eyeX) * eyeToScreen / (worldZ - eyeZ)
  *   screenY = (worldY - eyeY) * eyeToScreen / (worldZ - eyeZ)
  *
+ * @param {Camera} camera - Viewpoint
  * @param {number} worldX - X position in world
  * @param {number} worldY - Y position in world
- * @param {number} worldZ - Z position in world (distance from player)
- * @param {number} eyeOffsetX - Additional X offset for stereo (left/right eye)
+ * @param {number} worldZ - Z position in world (wrapped relative to the camera)
+ * @param {number} eyeOffsetX - Additional X offset for stereo (camera.getEyeOffset)
  * @returns {{x: number, y: number, visible: boolean}}
  */
-export function projectPoint(worldX, worldY, worldZ, eyeOffsetX = 0) {
-    const relZ = worldZ - eyeZ;
+export function projectPoint(camera, worldX, worldY, worldZ, eyeOffsetX = 0) {
+    const p = camera.toCameraSpace(worldX, worldY, worldZ);
 
-    // Behind the eye or too close
-    if (relZ <= CONFIG.TUNNEL.near) {
+    // Behind the eye, too close or too far
+    if (!camera.isVisibleDepth(p.z)) {
         return { x: 0, y: 0, visible: false };
     }
 
-    // Too far
-    if (relZ > CONFIG.TUNNEL.far) {
-        return { x: 0, y: 0, visible: false };
-    }
+    return { ...toScreen(camera, p.x, p.y, p.z, eyeOffsetX), visible: true };
+}
 
-    const { eyeToScreen, screenPlaneZ } = CONFIG.STEREO;
+/**
+ * Screen position of a camera-space point known to be in the visible depth range
+ */
+function toScreen(camera, x, y, z, eyeOffsetX) {
+    const { eyeToScreen, screenPlaneZ } = camera;
 
     // Base projection
-    let screenX = ((worldX - eyeX - eyeOffsetX) * eyeToScreen) / relZ;
-    const screenY = ((worldY - eyeY) * eyeToScreen) / relZ;
+    let screenX = ((x - eyeOffsetX) * eyeToScreen) / z;
+    const screenY = (y * eyeToScreen) / z;
 
     // If screen plane is defined, shift parallax so objects at screenPlaneZ appear at screen depth
     // Objects closer than screenPlaneZ pop out (in front), farther recede (behind)
@@ -56,50 +51,236 @@ export function projectPoint(worldX, worldY, worldZ, eyeOffsetX = 0) {
     }
 
     // Convert to canvas coordinates (center origin)
-    // Note: CONFIG.WIDTH/HEIGHT are updated on resize
+    const center = camera.getCenter();
+    return { x: screenX + center.x, y: screenY + center.y };
+}
+
+/**
+ * World points of one shape in camera space, all unwrapped from the first
+ * point's side of the tunnel seam so the shape stays in one piece
+ */
+function shapeToCameraSpace(camera, points) {
+    const first = camera.toCameraSpace(points[0].x, points[0].y, points[0].z);
+    return points.map((p) => ({
+        x: p.x - camera.x,
+        y: p.y - camera.y,
+        z: first.z + (p.z - points[0].z) * camera.direction
+    }));
+}
+
+// Depth clipping: the visible range is near <= z <= far in camera space.
+// Points on the near plane itself are clipped in, so the parts of a line or
+// polygon that reach the eye end there.
+
+/**
+ * Clip a 3D line to the camera's visible depth range
+ * @returns {Array<number>|null} [x1, y1, z1, x2, y2, z2] of the visible part in camera space, or null if none
+ */
+export function clipLineToDepth(camera, x1, y1, z1, x2, y2, z2) {
+    const [a, b] = shapeToCameraSpace(camera, [{ x: x1, y: y1, z: z1 }, { x: x2, y: y2, z: z2 }]);
+    const { near, far } = camera;
+
+    // Parametric range t in [t0, t1] along a -> b that's inside both planes
+    let t0 = 0;
+    let t1 = 1;
+    const dz = b.z - a.z;
+    for (const [bound, sign] of [[near, 1], [far, -1]]) {
+        // Inside when sign * (z - bound) >= 0
+        const start = sign * (a.z - bound);
+        const delta = sign * dz;
+        if (delta === 0) {
+            if (start < 0) return null;
+            continue;
+        }
+        const t = -start / delta;
+        if (delta > 0) {
+            t0 = Math.max(t0, t);
+        } else {
+            t1 = Math.min(t1, t);
+        }
+    }
+    if (t0 > t1) return null;
+
+    const at = (t) => [a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, a.z + dz * t];
+    return [...at(t0), ...at(t1)];
+}
+
+/**
+ * Clip a 3D polygon to the camera's visible depth range (Sutherland-Hodgman)
+ * @param {Array<{x, y, z}>} points - Polygon corners in order (world)
+ * @returns {Array<{x, y, z}>} Visible part in camera space (empty if none)
+ */
+export function clipPolygonToDepth(camera, points) {
+    if (points.length === 0) return [];
+
+    const { near, far } = camera;
+    let result = shapeToCameraSpace(camera, points);
+    for (const [bound, sign] of [[near, 1], [far, -1]]) {
+        result = clipPolygonAgainst(result, (p) => sign * (p.z - bound), (a, b, t) => ({
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t
+        }));
+    }
+    return result;
+}
+
+/**
+ * One Sutherland-Hodgman pass: keep the side where inside(p) >= 0
+ * @param {Function} inside - Signed distance from the clip edge/plane
+ * @param {Function} lerp - (a, b, t) => point between a and b
+ */
+function clipPolygonAgainst(points, inside, lerp) {
+    const result = [];
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const da = inside(a);
+        const db = inside(b);
+
+        if (da >= 0) {
+            result.push(a);
+        }
+        // Edge crosses the boundary - add the crossing point
+        if ((da >= 0) !== (db >= 0)) {
+            result.push(lerp(a, b, da / (da - db)));
+        }
+    }
+    return result;
+}
+
+// 2D clipping against the game view: a {left, top, right, bottom} rect in
+// canvas coordinates. Functions taking a view skip 2D clipping when it's null.
+
+/**
+ * Clip a 2D segment to a view rect (Liang-Barsky)
+ * @returns {{x1, y1, x2, y2}|null} Visible part, or null if none
+ */
+export function clipSegment2D(x1, y1, x2, y2, view) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    let t0 = 0;
+    let t1 = 1;
+
+    // Each edge as p * t <= q
+    const edges = [
+        [-dx, x1 - view.left],
+        [dx, view.right - x1],
+        [-dy, y1 - view.top],
+        [dy, view.bottom - y1]
+    ];
+    for (const [p, q] of edges) {
+        if (p === 0) {
+            if (q < 0) return null;  // Parallel and outside
+            continue;
+        }
+        const t = q / p;
+        if (p < 0) {
+            t0 = Math.max(t0, t);
+        } else {
+            t1 = Math.min(t1, t);
+        }
+    }
+    if (t0 > t1) return null;
+
     return {
-        x: screenX + CONFIG.WIDTH / 2,
-        y: screenY + CONFIG.HEIGHT / 2,
-        visible: true
+        x1: x1 + dx * t0,
+        y1: y1 + dy * t0,
+        x2: x1 + dx * t1,
+        y2: y1 + dy * t1
     };
 }
 
 /**
- * Project a 3D line to 2D, handling clipping
- * Returns null if line is completely behind camera
+ * Clip a 2D polygon to a view rect (Sutherland-Hodgman)
+ * @param {Array<{x, y}>} points - Polygon corners in order
+ * @returns {Array<{x, y}>} Visible part (empty if none)
  */
-export function projectLine(x1, y1, z1, x2, y2, z2, eyeOffsetX = 0) {
-    const p1 = projectPoint(x1, y1, z1, eyeOffsetX);
-    const p2 = projectPoint(x2, y2, z2, eyeOffsetX);
+export function clipPolygon2D(points, view) {
+    const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    let result = points;
+    result = clipPolygonAgainst(result, (p) => p.x - view.left, lerp);
+    result = clipPolygonAgainst(result, (p) => view.right - p.x, lerp);
+    result = clipPolygonAgainst(result, (p) => p.y - view.top, lerp);
+    result = clipPolygonAgainst(result, (p) => view.bottom - p.y, lerp);
+    return result;
+}
 
-    if (!p1.visible && !p2.visible) {
+/**
+ * Project a 3D line to 2D, clipped to the visible depth range and, if
+ * given, the view
+ * @param {Camera} camera - Viewpoint
+ * @param {Object} view - {left, top, right, bottom} to clip to (null = no 2D clipping)
+ * @returns {{x1, y1, x2, y2}|null} Visible part, or null if none
+ */
+export function projectLine(camera, x1, y1, z1, x2, y2, z2, eyeOffsetX = 0, view = null) {
+    const clipped = clipLineToDepth(camera, x1, y1, z1, x2, y2, z2);
+    if (!clipped) {
         return null;
     }
 
-    // Simple clipping: if one point is behind, we'd need proper clipping
-    // For now, just skip if either point is not visible
-    if (!p1.visible || !p2.visible) {
+    const p1 = toScreen(camera, clipped[0], clipped[1], clipped[2], eyeOffsetX);
+    const p2 = toScreen(camera, clipped[3], clipped[4], clipped[5], eyeOffsetX);
+    const line = { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y };
+
+    return view ? clipSegment2D(line.x1, line.y1, line.x2, line.y2, view) : line;
+}
+
+/**
+ * Project a 3D polygon to 2D, clipped to the visible depth range and, if
+ * given, the view
+ * @param {Camera} camera - Viewpoint
+ * @param {Array<{x, y, z}>} points - Polygon corners in order
+ * @param {Object} view - {left, top, right, bottom} to clip to (null = no 2D clipping)
+ * @returns {Array<{x, y}>|null} Visible polygon (3+ corners), or null if none
+ */
+export function projectPolygon(camera, points, eyeOffsetX = 0, view = null) {
+    const clipped = clipPolygonToDepth(camera, points);
+    if (clipped.length < 3) {
         return null;
     }
 
-    return { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y };
+    let projected = clipped.map((p) => toScreen(camera, p.x, p.y, p.z, eyeOffsetX));
+    if (view) {
+        projected = clipPolygon2D(projected, view);
+    }
+    return projected.length >= 3 ? projected : null;
 }
 
 /**
  * Project a 3D rectangle (at a single Z depth) to 2D
+ * A rect at one depth is either wholly in the visible range or not, and
+ * stays a rect when clipped to the view
+ * @param {Camera} camera - Viewpoint
+ * @param {Object} view - {left, top, right, bottom} to clip to (null = no 2D clipping)
+ * @returns {{x, y, width, height}|null} Visible part, or null if none
  */
-export function projectRect(left, top, right, bottom, z, eyeOffsetX = 0) {
-    const tl = projectPoint(left, top, z, eyeOffsetX);
-    const br = projectPoint(right, bottom, z, eyeOffsetX);
+export function projectRect(camera, left, top, right, bottom, z, eyeOffsetX = 0, view = null) {
+    const tl = projectPoint(camera, left, top, z, eyeOffsetX);
+    const br = projectPoint(camera, right, bottom, z, eyeOffsetX);
 
     if (!tl.visible || !br.visible) {
         return null;
     }
 
+    let x1 = Math.min(tl.x, br.x);
+    let y1 = Math.min(tl.y, br.y);
+    let x2 = Math.max(tl.x, br.x);
+    let y2 = Math.max(tl.y, br.y);
+    if (view) {
+        x1 = Math.max(x1, view.left);
+        y1 = Math.max(y1, view.top);
+        x2 = Math.min(x2, view.right);
+        y2 = Math.min(y2, view.bottom);
+        if (x1 >= x2 || y1 >= y2) {
+            return null;
+        }
+    }
+
     return {
-        x: tl.x,
-        y: tl.y,
-        width: br.x - tl.x,
-        height: br.y - tl.y
+        x: x1,
+        y: y1,
+        width: x2 - x1,
+        height: y2 - y1
     };
 }
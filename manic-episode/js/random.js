@@ -0,0 +1,98 @@
+/*
+ * ZGraf Web - Seedable Random Numbers
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// All gameplay randomness goes through the shared `rng` below instead of
+// Math.random(), so a seed reproduces a level layout (and, with recorded
+// input, a whole game) exactly.
+
+/**
+ * Mix a 32-bit integer (murmur3 finalizer)
+ */
+function mix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * Small, fast, and identical in every JavaScript engine
+ */
+export class Random {
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Random float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in range [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Random float in range [min, max]
+     */
+    float(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+/**
+ * Fresh seed for a new game (the one place wall-clock randomness is allowed)
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Derive an independent sub-seed, e.g. one per level from the game seed
+ */
+export function deriveSeed(seed, n) {
+    return mix32((seed ^ Math.imul(n + 1, 0x9e3779b9)) >>> 0);
+}
+
+/**
+ * Parse a seed from user text (URL parameter)
+ * Plain numbers are used as-is; anything else is hashed, so "?seed=bug42" works too
+ * @returns {number|null} Seed, or null if text is empty
+ */
+export function parseSeed(text) {
+    if (text === null || text === undefined || text === '') return null;
+
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return mix32(h >>> 0);
+}
+
+// Shared generator used by all gameplay code
+export const rng = new Random(randomSeed());
@@ -6,41 +6,65 @@
  */
 
 import { CONFIG } from './config.js';
-import { projectPoint, projectLine, projectRect } from './projection.js';
-
-export class Renderer {
+import { SceneRenderer } from './scene.js';
+import { Canvas2DBackend } from './backends.js';
+
+// SceneRenderer (scene.js) does the 3D drawing; this adds the eye canvases
+// it draws into, the 2D UI and compositing for the stereo output.
+//
+// Drawing is in logical (CSS) pixels - width, height, getScale() and all
+// layout. The canvases themselves are pixelRatio times that (device pixels
+// times the render scale), with the eye contexts scaled to match, and
+// compositing works in those canvas pixels (pixelWidth x pixelHeight).
+
+export class Renderer extends SceneRenderer {
     constructor(canvas) {
+        super(null);
+        this.backend = new Canvas2DBackend(this);
+
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        this.width = CONFIG.WIDTH;
-        this.height = CONFIG.HEIGHT;
         this.centerX = this.width / 2;
         this.centerY = this.height / 2;
 
+        // Canvas pixels per logical pixel (see setPixelRatio)
+        this.pixelRatio = 1;
+
         // Create offscreen canvases for stereo rendering
         this.leftEyeCanvas = document.createElement('canvas');
-        this.leftEyeCanvas.width = this.width;
-        this.leftEyeCanvas.height = this.height;
         this.leftCtx = this.leftEyeCanvas.getContext('2d');
 
         this.rightEyeCanvas = document.createElement('canvas');
-        this.rightEyeCanvas.width = this.width;
-        this.rightEyeCanvas.height = this.height;
         this.rightCtx = this.rightEyeCanvas.getContext('2d');
 
-        // Compositing canvas
+        // Compositing canvas (per-pixel compositing)
         this.compositeCanvas = document.createElement('canvas');
-        this.compositeCanvas.width = this.width;
-        this.compositeCanvas.height = this.height;
         this.compositeCtx = this.compositeCanvas.getContext('2d');
 
-        this.stereoEnabled = CONFIG.STEREO.enabled;
-        this.halfOffset = CONFIG.STEREO.halfOffset;
+        this.updateCanvasSizes();
+
+        // Screen-size canvases for compositing operations, made on first use
+        this.scratchCanvases = new Map();
+
+        // 'canvas' (compositing operations) or 'pixels' (JavaScript loop, for comparison)
+        this.compositeMethod = 'canvas';
+
+        // CompositeBenchmark (benchmark.js) timing endFrame, if one is running
+        this.benchmark = null;
+
+        // Display time of the frames drawn so far (ms, see beginFrame), for
+        // output modes that change over time (wiggle)
+        this.frameClock = 0;
 
         // Crosshairs stereo offset in pixels (fixed, not Z-dependent)
         // Changing this will change the apparent depth of crosshairs
         this.crosshairsStereoOffset = 15;
 
+        // Control hints under the status panel (from the key bindings, see bindings.js)
+        this.controlHints = ['Press and hold 2 to go forward', '1 to go backward', 'Click to fire'];
+        // Extra line in the pause box (the settings menu key)
+        this.pauseHint = '';
+
         // Track all images loaded for loading screen
         this.allImagesLoaded = false;
         this.imagesLoaded = 0;
@@ -121,7 +145,12 @@ export class Renderer {
         return layout.x - leftMargin;
     }
 
-    beginFrame() {
+    /**
+     * @param {number} frameTime - How long the last frame was shown (ms)
+     */
+    beginFrame(frameTime = 0) {
+        this.frameClock += frameTime;
+
         // Clear all buffers
         this.leftCtx.fillStyle = '#000';
         this.leftCtx.fillRect(0, 0, this.width, this.height);
@@ -132,6 +161,10 @@ export class Renderer {
         // Set up clip region for game view (left of status panel)
         const gameViewWidth = this.getGameViewWidth();
 
+        // 3D drawing is also clipped to the game view geometrically, so
+        // lines and shapes reaching toward the eye stay within sane coordinates
+        this.viewRect = { left: 0, top: 0, right: gameViewWidth, bottom: this.height };
+
         const contexts = this.stereoEnabled ? [this.leftCtx, this.rightCtx] : [this.leftCtx];
         for (const ctx of contexts) {
             ctx.save();
@@ -139,6 +172,8 @@ export class Renderer {
             ctx.rect(0, 0, gameViewWidth, this.height);
             ctx.clip();
         }
+
+        this.backend.beginFrame(this.width, this.height);
     }
 
     /**
@@ -152,174 +187,70 @@ export class Renderer {
     }
 
     /**
-     * Draw a 3D line with specified shade (0-1)
+     * Draw a 2D element (for UI, not affected by 3D projection)
+     * In stereo mode, uses cyan/red for proper anaglyph (composites to white)
      */
-    drawLine3D(x1, y1, z1, x2, y2, z2, shade = 1.0) {
+    drawText(text, x, y, color = '#fff', size = 14) {
+        // In stereo mode, use cyan for left eye, red for right eye
+        // This composites to white at screen depth
         if (this.stereoEnabled) {
-            // Left eye (cyan) - offset right (for red-left/cyan-right glasses, creates pop-out)
-            this._drawLineToCanvas(this.leftCtx, x1, y1, z1, x2, y2, z2, this.halfOffset, shade, 'cyan');
-            // Right eye (red) - offset left
-            this._drawLineToCanvas(this.rightCtx, x1, y1, z1, x2, y2, z2, -this.halfOffset, shade, 'red');
-        } else {
-            // Mono mode - draw white
-            this._drawLineToCanvas(this.leftCtx, x1, y1, z1, x2, y2, z2, 0, shade, 'white');
-        }
-    }
-
-    _drawLineToCanvas(ctx, x1, y1, z1, x2, y2, z2, eyeOffset, shade, colorMode) {
-        const line = projectLine(x1, y1, z1, x2, y2, z2, eyeOffset);
-        if (!line) return;
-
-        ctx.beginPath();
-        ctx.moveTo(line.x1, line.y1);
-        ctx.lineTo(line.x2, line.y2);
-
-        const intensity = Math.floor(shade * 255);
-        if (colorMode === 'cyan') {
-            // Use stereo color values from config, scaled by shade
-            const { g, b } = CONFIG.STEREO.leftColorValues;
-            const green = Math.floor(shade * g);
-            const blue = Math.floor(shade * b);
-            ctx.strokeStyle = `rgb(0, ${green}, ${blue})`;
-        } else if (colorMode === 'red') {
-            const { r } = CONFIG.STEREO.rightColorValues;
-            const red = Math.floor(shade * r);
-            ctx.strokeStyle = `rgb(${red}, 0, 0)`;
-        } else {
-            ctx.strokeStyle = `rgb(${intensity}, ${intensity}, ${intensity})`;
-        }
-
-        // Scale line width based on screen size
-        ctx.lineWidth = Math.max(1, Math.round(this.getScale()));
-        ctx.stroke();
-    }
+            this.leftCtx.font = `${size}px monospace`;
+            this.leftCtx.fillStyle = this.leftColor;
+            this.leftCtx.fillText(text, x, y);
 
-    /**
-     * Draw a 3D filled rectangle at a given Z depth
-     */
-    drawFilledRect3D(x, y, z, halfWidth, halfHeight, shade = 1.0) {
-        if (this.stereoEnabled) {
-            this._drawRectToCanvas(this.leftCtx, x, y, z, halfWidth, halfHeight, this.halfOffset, shade, 'cyan', true);
-            this._drawRectToCanvas(this.rightCtx, x, y, z, halfWidth, halfHeight, -this.halfOffset, shade, 'red', true);
+            this.rightCtx.font = `${size}px monospace`;
+            this.rightCtx.fillStyle = this.rightColor;
+            this.rightCtx.fillText(text, x, y);
         } else {
-            this._drawRectToCanvas(this.leftCtx, x, y, z, halfWidth, halfHeight, 0, shade, 'white', true);
+            this.leftCtx.font = `${size}px monospace`;
+            this.leftCtx.fillStyle = color;
+            this.leftCtx.fillText(text, x, y);
         }
     }
 
     /**
-     * Draw a 3D frame rectangle at a given Z depth
+     * Remaining lives as ship icons (the radar's player marker), centered on x
+     * More than fit in the panel show as one icon and a count
      */
-    drawFrameRect3D(x, y, z, halfWidth, halfHeight, shade = 1.0) {
-        if (this.stereoEnabled) {
-            this._drawRectToCanvas(this.leftCtx, x, y, z, halfWidth, halfHeight, this.halfOffset, shade, 'cyan', false);
-            this._drawRectToCanvas(this.rightCtx, x, y, z, halfWidth, halfHeight, -this.halfOffset, shade, 'red', false);
-        } else {
-            this._drawRectToCanvas(this.leftCtx, x, y, z, halfWidth, halfHeight, 0, shade, 'white', false);
-        }
-    }
-
-    _drawRectToCanvas(ctx, x, y, z, halfWidth, halfHeight, eyeOffset, shade, colorMode, filled) {
-        const rect = projectRect(x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight, z, eyeOffset);
-        if (!rect) return;
-
-        const intensity = Math.floor(shade * 255);
-        let color;
-        if (colorMode === 'cyan') {
-            // Use stereo color values from config, scaled by shade
-            const { g, b } = CONFIG.STEREO.leftColorValues;
-            const green = Math.floor(shade * g);
-            const blue = Math.floor(shade * b);
-            color = `rgb(0, ${green}, ${blue})`;
-        } else if (colorMode === 'red') {
-            const { r } = CONFIG.STEREO.rightColorValues;
-            const red = Math.floor(shade * r);
-            color = `rgb(${red}, 0, 0)`;
-        } else {
-            color = `rgb(${intensity}, ${intensity}, ${intensity})`;
-        }
+    drawLives(ctx, lives, x, y, scale) {
+        const px = Math.max(1, Math.round(scale));
+        const iconWidth = px * 5;
+        const gap = px * 3;
+        const maxIcons = 5;
+
+        const drawIcon = (left) => {
+            ctx.fillRect(left + px * 2, y - px, px, px);
+            ctx.fillRect(left + px, y, px * 3, px);
+            ctx.fillRect(left, y + px, px * 5, px);
+        };
 
-        if (filled) {
-            ctx.fillStyle = color;
-            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
-        } else {
-            ctx.strokeStyle = color;
-            ctx.lineWidth = Math.max(1, Math.round(this.getScale()));
-            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        if (lives > maxIcons) {
+            drawIcon(Math.round(x - iconWidth - gap));
+            ctx.textAlign = 'left';
+            ctx.fillText(`x${lives}`, Math.round(x), y);
+            return;
         }
-    }
-
-    /**
-     * Draw the tunnel frame at a specific Z depth
-     * This draws the rectangular boundary of the tunnel
-     */
-    drawTunnelFrame(z, shade = CONFIG.SHADES.tunnelFrame) {
-        const { left, right, top, bottom } = CONFIG.TUNNEL;
-
-        // Draw four edges of the tunnel frame
-        // Top edge
-        this.drawLine3D(left, top, z, right, top, z, shade);
-        // Bottom edge
-        this.drawLine3D(left, bottom, z, right, bottom, z, shade);
-        // Left edge
-        this.drawLine3D(left, top, z, left, bottom, z, shade);
-        // Right edge
-        this.drawLine3D(right, top, z, right, bottom, z, shade);
-    }
 
-    /**
-     * Draw multiple tunnel frames from far to near
-     * Frames are at fixed world Z positions, spaced by frameSpacing
-     * Handles wrap-around tunnel geometry
-     */
-    drawTunnelFrames(playerZ) {
-        const { left, right, top, bottom, near, far, frameSpacing, length } = CONFIG.TUNNEL;
-
-        let prevRelZ = null;
-
-        // Draw frames within visible range, handling wrap-around
-        // We need to check frames that might be visible considering wrap
-        const numFrames = Math.ceil(length / frameSpacing);
-
-        for (let i = 0; i < numFrames; i++) {
-            const worldZ = i * frameSpacing;
-
-            // Calculate wrapped relative Z (shortest distance)
-            let relZ = worldZ - playerZ;
-            if (relZ > length / 2) relZ -= length;
-            if (relZ < -length / 2) relZ += length;
-
-            // Only draw frames ahead of player within visible range
-            if (relZ >= near && relZ <= far) {
-                // Fade based on distance - closer frames are brighter
-                const distFactor = 1 - (relZ / far);
-                const shade = CONFIG.SHADES.tunnelFrame * (0.2 + 0.8 * distFactor);
-
-                // Draw the frame rectangle (pass relZ for projection)
-                this.drawTunnelFrame(playerZ + relZ, shade);
-            }
+        const rowWidth = lives * iconWidth + Math.max(0, lives - 1) * gap;
+        const left = Math.round(x - rowWidth / 2);
+        for (let i = 0; i < lives; i++) {
+            drawIcon(left + i * (iconWidth + gap));
         }
     }
 
     /**
-     * Draw a 2D element (for UI, not affected by 3D projection)
-     * In stereo mode, uses cyan/red for proper anaglyph (composites to white)
+     * Text HUD in the top-left corner (level editor, compositing benchmark)
+     * @param {Array<string>} lines - Text lines to show
      */
-    drawText(text, x, y, color = '#fff', size = 14) {
-        // In stereo mode, use cyan for left eye, red for right eye
-        // This composites to white at screen depth
-        if (this.stereoEnabled) {
-            this.leftCtx.font = `${size}px monospace`;
-            this.leftCtx.fillStyle = CONFIG.STEREO.leftColor;
-            this.leftCtx.fillText(text, x, y);
+    drawTextOverlay(lines) {
+        const scale = this.getScale();
+        const size = Math.max(12, Math.round(6 * scale));
+        const x = Math.round(8 * scale);
+        const y = Math.round(12 * scale);
 
-            this.rightCtx.font = `${size}px monospace`;
-            this.rightCtx.fillStyle = CONFIG.STEREO.rightColor;
-            this.rightCtx.fillText(text, x, y);
-        } else {
-            this.leftCtx.font = `${size}px monospace`;
-            this.leftCtx.fillStyle = color;
-            this.leftCtx.fillText(text, x, y);
-        }
+        lines.forEach((line, i) => {
+            this.drawText(line, x, y + Math.round(i * size * 1.4), CONFIG.RADAR.textColor, size);
+        });
     }
 
     drawPauseOverlay() {
@@ -333,8 +264,8 @@ export class Renderer {
 
         // Stereo colors from config; border uses same color scheme so it appears white at screen depth
         const contexts = this.stereoEnabled
-            ? [{ ctx: this.leftCtx, textColor: CONFIG.STEREO.leftColor, borderColor: CONFIG.STEREO.leftColor },
-               { ctx: this.rightCtx, textColor: CONFIG.STEREO.rightColor, borderColor: CONFIG.STEREO.rightColor }]
+            ? [{ ctx: this.leftCtx, textColor: this.leftColor, borderColor: this.leftColor },
+               { ctx: this.rightCtx, textColor: this.rightColor, borderColor: this.rightColor }]
             : [{ ctx: this.leftCtx, textColor: '#808080', borderColor: '#FFFFFF' }];
 
         for (const { ctx, textColor, borderColor } of contexts) {
@@ -362,6 +293,10 @@ export class Renderer {
             ctx.fillStyle = textColor;
             ctx.fillText('Press the mouse', this.centerX, this.centerY + 40);
             ctx.fillText('button to continue', this.centerX, this.centerY + 60);
+            if (this.pauseHint) {
+                ctx.font = '12px Silkscreen, monospace';
+                ctx.fillText(this.pauseHint, this.centerX, this.centerY + 85);
+            }
 
             ctx.textAlign = 'left';
         }
@@ -378,13 +313,10 @@ export class Renderer {
         const shade = 0.85;  // Shade 27 out of ~32 levels
 
         // Use same color scheme as rest of game, scaled by shade
-        const { g, b } = CONFIG.STEREO.leftColorValues;
-        const { r } = CONFIG.STEREO.rightColorValues;
-
         const contexts = this.stereoEnabled
-            ? [{ ctx: this.leftCtx, color: `rgb(0, ${Math.floor(g * shade)}, ${Math.floor(b * shade)})` },
-               { ctx: this.rightCtx, color: `rgb(${Math.floor(r * shade)}, 0, 0)` }]
-            : [{ ctx: this.leftCtx, color: `rgb(${Math.floor(255 * shade)}, ${Math.floor(255 * shade)}, ${Math.floor(255 * shade)})` }];
+            ? [{ ctx: this.leftCtx, color: this.getShadeColor('left', shade) },
+               { ctx: this.rightCtx, color: this.getShadeColor('right', shade) }]
+            : [{ ctx: this.leftCtx, color: this.getShadeColor('white', shade) }];
 
         for (const { ctx, color } of contexts) {
             ctx.fillStyle = color;
@@ -420,6 +352,26 @@ export class Renderer {
         }
     }
 
+    /**
+     * Why the game couldn't load, straight onto the visible canvas (the
+     * eye canvases may not be set up yet)
+     * @param {Array<string>} lines
+     */
+    drawLoadError(lines) {
+        const ctx = this.ctx;
+        const size = Math.max(12, Math.round(7 * this.getScale()));
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.font = `${size}px Silkscreen, monospace`;
+        ctx.fillStyle = CONFIG.RADAR.textColor;
+        ctx.textAlign = 'center';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, this.centerX, this.centerY + (i - (lines.length - 1) / 2) * size * 2);
+        });
+        ctx.textAlign = 'left';
+    }
+
     /**
      * Draw loading image centered (for overlay on intro animation)
      * Uses purple/magenta color (combo of red + cyan stereo colors)
@@ -465,8 +417,9 @@ export class Renderer {
 
         tempCtx.putImageData(imageData, 0, 0);
 
-        // Draw tinted result to main canvas
-        this.ctx.drawImage(tempCanvas, x, y);
+        // Draw tinted result to main canvas (which is in canvas pixels)
+        const ratio = this.pixelRatio;
+        this.ctx.drawImage(tempCanvas, x * ratio, y * ratio, imgWidth * ratio, imgHeight * ratio);
     }
 
     /**
@@ -476,8 +429,8 @@ export class Renderer {
      */
     drawStereoImage(image, x, y, width, height) {
         if (this.stereoEnabled) {
-            const leftColor = CONFIG.STEREO.leftColor;
-            const rightColor = CONFIG.STEREO.rightColor;
+            const leftColor = this.leftColor;
+            const rightColor = this.rightColor;
 
             // Left canvas - draw color rect first, then multiply image on top
             this.leftCtx.fillStyle = leftColor;
@@ -521,13 +474,13 @@ export class Renderer {
             const text = 'CLICK TO PLAY';
             if (this.stereoEnabled) {
                 this.leftCtx.font = '32px Silkscreen, monospace';
-                this.leftCtx.fillStyle = CONFIG.STEREO.leftColor;
+                this.leftCtx.fillStyle = this.leftColor;
                 this.leftCtx.textAlign = 'center';
                 this.leftCtx.fillText(text, this.centerX, this.centerY);
                 this.leftCtx.textAlign = 'left';
 
                 this.rightCtx.font = '32px Silkscreen, monospace';
-                this.rightCtx.fillStyle = CONFIG.STEREO.rightColor;
+                this.rightCtx.fillStyle = this.rightColor;
                 this.rightCtx.textAlign = 'center';
                 this.rightCtx.fillText(text, this.centerX, this.centerY);
                 this.rightCtx.textAlign = 'left';
@@ -541,6 +494,242 @@ export class Renderer {
         }
     }
 
+    /**
+     * One line of text at the top of the game view (mode changes etc.)
+     */
+    drawNotice(text) {
+        const scale = this.getScale();
+        const size = Math.max(12, Math.round(7 * scale));
+        const x = Math.round(this.getGameViewWidth() / 2);
+        const y = Math.round(24 * scale);
+
+        const contexts = this.stereoEnabled
+            ? [{ ctx: this.leftCtx, color: this.leftColor }, { ctx: this.rightCtx, color: this.rightColor }]
+            : [{ ctx: this.leftCtx, color: CONFIG.RADAR.textColor }];
+
+        for (const { ctx, color } of contexts) {
+            ctx.font = `${size}px Silkscreen, monospace`;
+            ctx.fillStyle = color;
+            ctx.textAlign = 'center';
+            ctx.fillText(text, x, y);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * Anaglyph calibration test pattern (matrix anaglyph mode)
+     * Each panel is gray in both eyes with a checkerboard in one eye only.
+     * Through one lens, the other eye's panel should look flat gray; any
+     * checkerboard showing there is ghosting to cancel for that eye.
+     * @param {Object} settings - Matrix anaglyph settings (stereo.js)
+     * @param {string} selectedEye - Eye whose ghosting the arrow keys change
+     * @param {Array<string>} lines - Title and help text, shown above the panels
+     */
+    drawAnaglyphCalibration(settings, selectedEye, lines) {
+        const viewWidth = this.getGameViewWidth();
+        const viewCenterX = viewWidth / 2;
+        const panelSize = Math.round(Math.min(viewWidth / 2.6, this.height / 2.6));
+        const gap = Math.round(panelSize * 0.2);
+        const top = Math.round(this.centerY - panelSize / 2 + panelSize * 0.15);
+        const panels = [
+            { eye: 'left', x: Math.round(viewCenterX - gap / 2 - panelSize) },
+            { eye: 'right', x: Math.round(viewCenterX + gap / 2) }
+        ];
+        const cells = 4;
+        const cellSize = panelSize / cells;
+        const size = Math.max(12, Math.round(7 * this.getScale()));
+
+        const contexts = [{ ctx: this.leftCtx, eye: 'left', color: this.leftColor },
+                          { ctx: this.rightCtx, eye: 'right', color: this.rightColor }];
+
+        for (const { ctx, eye, color } of contexts) {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, viewWidth, this.height);
+
+            for (const panel of panels) {
+                ctx.fillStyle = 'rgb(128, 128, 128)';
+                ctx.fillRect(panel.x, top, panelSize, panelSize);
+
+                if (panel.eye === eye) {
+                    ctx.fillStyle = '#fff';
+                    for (let row = 0; row < cells; row++) {
+                        for (let col = row % 2; col < cells; col += 2) {
+                            ctx.fillRect(Math.round(panel.x + col * cellSize), Math.round(top + row * cellSize),
+                                         Math.ceil(cellSize), Math.ceil(cellSize));
+                        }
+                    }
+                }
+
+                ctx.fillStyle = color;
+                ctx.font = `${size}px Silkscreen, monospace`;
+                ctx.textAlign = 'center';
+                const name = panel.eye === 'left' ? 'Left eye' : 'Right eye';
+                const marker = panel.eye === selectedEye ? '> ' : '';
+                ctx.fillText(`${marker}${name}: ${settings.ghosting[panel.eye].toFixed(2)}`,
+                             panel.x + panelSize / 2, top + panelSize + size * 2);
+            }
+
+            lines.forEach((line, i) => {
+                ctx.fillText(line, viewCenterX, Math.round(top - size * (lines.length - i + 1) * 1.5));
+            });
+            ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * Bordered black box for text screens, like the pause box
+     * @returns {Array<{ctx, color}>} Contexts to draw the box's text into
+     */
+    drawOverlayBox(boxWidth, boxHeight) {
+        const borderWidth = 4;
+        const x = Math.round(this.centerX - boxWidth / 2);
+        const y = Math.round(this.centerY - boxHeight / 2);
+
+        const contexts = this.stereoEnabled
+            ? [{ ctx: this.leftCtx, color: this.leftColor, borderColor: this.leftColor },
+               { ctx: this.rightCtx, color: this.rightColor, borderColor: this.rightColor }]
+            : [{ ctx: this.leftCtx, color: CONFIG.RADAR.textColor, borderColor: '#FFFFFF' }];
+
+        for (const { ctx, borderColor } of contexts) {
+            ctx.fillStyle = borderColor;
+            ctx.fillRect(x, y, boxWidth, boxHeight);
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(x + borderWidth, y + borderWidth, boxWidth - borderWidth * 2, boxHeight - borderWidth * 2);
+        }
+        return contexts;
+    }
+
+    /**
+     * High score table (attract mode screen)
+     * @param {Array<Object>} entries - {initials, score, level, date}, best first
+     * @param {number} highlightRank - Row of a just-entered score (-1 = none)
+     * @param {number} totalSeconds - Time on screen, for blinking the new score
+     */
+    drawHighScoreTable(entries, highlightRank, totalSeconds) {
+        const rowHeight = 26;
+        const boxWidth = 560;
+        const boxHeight = 110 + entries.length * rowHeight;
+        const top = this.centerY - boxHeight / 2;
+        const left = this.centerX - boxWidth / 2;
+
+        // Columns: rank, initials, score (right-aligned), level, date
+        const columns = [left + 40, left + 90, left + 290, left + 330, left + 410];
+        const blinkOff = totalSeconds % 1 > 0.6;
+
+        for (const { ctx, color } of this.drawOverlayBox(boxWidth, boxHeight)) {
+            ctx.fillStyle = color;
+            ctx.textBaseline = 'alphabetic';
+
+            ctx.font = '32px Silkscreen, monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('High Scores', this.centerX, top + 50);
+
+            ctx.font = '16px Silkscreen, monospace';
+            entries.forEach((entry, i) => {
+                if (i === highlightRank && blinkOff) return;
+
+                const y = top + 90 + i * rowHeight;
+                ctx.textAlign = 'right';
+                ctx.fillText(`${i + 1}.`, columns[0] + 20, y);
+                ctx.textAlign = 'left';
+                ctx.fillText(entry.initials, columns[1], y);
+                ctx.textAlign = 'right';
+                ctx.fillText(String(entry.score), columns[2], y);
+                ctx.textAlign = 'left';
+                ctx.fillText(`L${entry.level}`, columns[3], y);
+                ctx.fillText(entry.date, columns[4], y);
+            });
+
+            ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * Menu screen: a title, rows of label and value with the selected one
+     * marked, and help lines underneath
+     * @param {string} title
+     * @param {Array<{label, value}>} rows
+     * @param {number} selected - Index of the selected row
+     * @param {Array<string>} help - Lines under the rows
+     */
+    drawMenu(title, rows, selected, help) {
+        const rowHeight = 26;
+        const boxWidth = 560;
+        const boxHeight = 110 + rows.length * rowHeight + help.length * 22;
+        const top = this.centerY - boxHeight / 2;
+        const left = this.centerX - boxWidth / 2;
+
+        for (const { ctx, color } of this.drawOverlayBox(boxWidth, boxHeight)) {
+            ctx.fillStyle = color;
+            ctx.textBaseline = 'alphabetic';
+
+            ctx.font = '32px Silkscreen, monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(title, this.centerX, top + 50);
+
+            ctx.font = '16px Silkscreen, monospace';
+            rows.forEach((row, i) => {
+                const y = top + 90 + i * rowHeight;
+                ctx.textAlign = 'left';
+                if (i === selected) {
+                    ctx.fillText('>', left + 20, y);
+                }
+                ctx.fillText(row.label, left + 44, y);
+                ctx.textAlign = 'right';
+                ctx.fillText(row.value, left + boxWidth - 30, y);
+            });
+
+            ctx.font = '14px Silkscreen, monospace';
+            ctx.textAlign = 'center';
+            help.forEach((line, i) => {
+                ctx.fillText(line, this.centerX, top + 100 + rows.length * rowHeight + i * 22);
+            });
+
+            ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * Arcade initials entry after a qualifying game
+     * @param {InitialsEntry} entry - Letters, cursor and the finished game's result
+     */
+    drawInitialsEntry(entry) {
+        const boxWidth = 480;
+        const boxHeight = 280;
+        const top = this.centerY - boxHeight / 2;
+        const letterSpacing = 56;
+        const firstLetterX = this.centerX - letterSpacing * (entry.letters.length - 1) / 2;
+        const cursorOn = (entry.elapsed / 1000) % 0.8 < 0.5;
+
+        for (const { ctx, color } of this.drawOverlayBox(boxWidth, boxHeight)) {
+            ctx.fillStyle = color;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'alphabetic';
+
+            ctx.font = '32px Silkscreen, monospace';
+            ctx.fillText('New High Score', this.centerX, top + 55);
+
+            ctx.font = '16px Silkscreen, monospace';
+            ctx.fillText(`${entry.result.score} points - level ${entry.result.level}`, this.centerX, top + 90);
+
+            // Letters, with the one being edited underlined
+            ctx.font = '48px Silkscreen, monospace';
+            entry.letters.forEach((letter, i) => {
+                const x = firstLetterX + i * letterSpacing;
+                ctx.fillText(letter === ' ' ? '_' : letter, x, top + 170);
+                if (i === entry.cursor && cursorOn) {
+                    ctx.fillRect(x - 20, top + 182, 40, 4);
+                }
+            });
+
+            ctx.font = '14px Silkscreen, monospace';
+            ctx.fillText('Type your initials or use the arrow keys', this.centerX, top + 225);
+            ctx.fillText('Enter when done', this.centerX, top + 247);
+
+            ctx.textAlign = 'left';
+        }
+    }
+
     /**
      * Draw game over overlay - pict_131 centered
      */
@@ -558,13 +747,13 @@ export class Renderer {
             // Fallback text - use stereo colors from config
             if (this.stereoEnabled) {
                 this.leftCtx.font = '48px Silkscreen, monospace';
-                this.leftCtx.fillStyle = CONFIG.STEREO.leftColor;
+                this.leftCtx.fillStyle = this.leftColor;
                 this.leftCtx.textAlign = 'center';
                 this.leftCtx.fillText('GAME OVER', this.centerX, this.centerY);
                 this.leftCtx.textAlign = 'left';
 
                 this.rightCtx.font = '48px Silkscreen, monospace';
-                this.rightCtx.fillStyle = CONFIG.STEREO.rightColor;
+                this.rightCtx.fillStyle = this.rightColor;
                 this.rightCtx.textAlign = 'center';
                 this.rightCtx.fillText('GAME OVER', this.centerX, this.centerY);
                 this.rightCtx.textAlign = 'left';
@@ -578,15 +767,6 @@ export class Renderer {
         }
     }
 
-    /**
-     * Get scale factor based on current window size vs original Mac screen
-     * Used for 3D rendering elements (tunnel, objects)
-     */
-    getScale() {
-        // Scale based on height to maintain proportions
-        return this.height / CONFIG.ORIGINAL.totalHeight;
-    }
-
     /**
      * Get fixed status panel dimensions and position
      * Panel has fixed size, centered vertically, with right margin
@@ -617,6 +797,157 @@ export class Renderer {
         };
     }
 
+    /**
+     * Rear-view inset rectangle in the top right of the game view
+     * Sized from the status panel so the two line up
+     */
+    getRearViewLayout() {
+        const { aspect, margin } = CONFIG.REAR_VIEW;
+        const width = this.getStatusPanelLayout().width;
+
+        return {
+            x: this.getGameViewWidth() - width - margin,
+            y: margin,
+            width,
+            height: Math.round(width * aspect)
+        };
+    }
+
+    /**
+     * On-screen touch buttons (see touch.js), kept clear of the status panel
+     * Landscape: thrust forward over back at the left, fire at the right.
+     * Portrait: thrust side by side along the bottom if the game view is
+     * wide enough. Fire goes under the status panel when there's room.
+     * @returns {Array<{action, x, y, radius}>} Circles in eye canvas coordinates
+     */
+    getTouchControlsLayout() {
+        const { buttonSize, minButtonRadius, maxButtonRadius, margin } = CONFIG.TOUCH;
+        const viewWidth = this.getGameViewWidth();
+        const panel = this.getStatusPanelLayout();
+        const radius = Math.round(Math.max(minButtonRadius,
+                                           Math.min(maxButtonRadius, Math.min(this.width, this.height) * buttonSize)));
+        const fireRadius = Math.round(radius * 1.25);
+        const smallRadius = Math.round(radius * 0.6);
+        const bottom = this.height - margin;
+
+        const back = { action: 'backward', x: margin + radius, y: bottom - radius, radius };
+        const forward = { action: 'forward', x: back.x, y: back.y - radius * 2 - margin, radius };
+        if (this.height > this.width && viewWidth >= radius * 4 + margin * 3 + fireRadius * 2) {
+            forward.x = back.x + radius * 2 + margin;
+            forward.y = back.y;
+        }
+
+        const fire = { action: 'fire', x: viewWidth - margin - fireRadius, y: bottom - fireRadius, radius: fireRadius };
+        const belowPanel = this.height - (panel.y + panel.height);
+        if (belowPanel >= fireRadius * 2 + margin * 2 && panel.width >= fireRadius * 2) {
+            fire.x = panel.x + panel.width / 2;
+            fire.y = panel.y + panel.height + belowPanel / 2;
+        }
+
+        const pause = { action: 'pause', x: margin + smallRadius, y: margin + smallRadius, radius: smallRadius };
+
+        return [forward, back, fire, pause];
+    }
+
+    /**
+     * Touch buttons (at screen depth, same place in both eyes)
+     * @param {Array<Object>} buttons - From getTouchControlsLayout
+     * @param {Function} isHeld - (action) => true to draw the button pressed
+     */
+    drawTouchControls(buttons, isHeld) {
+        const contexts = this.stereoEnabled
+            ? [{ ctx: this.leftCtx, color: this.leftColor }, { ctx: this.rightCtx, color: this.rightColor }]
+            : [{ ctx: this.leftCtx, color: CONFIG.RADAR.textColor }];
+
+        for (const { ctx, color } of contexts) {
+            ctx.globalAlpha = CONFIG.TOUCH.opacity;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+
+            for (const { action, x, y, radius } of buttons) {
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.stroke();
+                if (isHeld(action)) {
+                    ctx.globalAlpha = CONFIG.TOUCH.opacity / 2;
+                    ctx.fill();
+                    ctx.globalAlpha = CONFIG.TOUCH.opacity;
+                }
+
+                // Icon: arrows for thrust, bars for pause, a label for fire
+                const size = radius * 0.45;
+                ctx.beginPath();
+                switch (action) {
+                    case 'forward':
+                        ctx.moveTo(x, y - size);
+                        ctx.lineTo(x + size, y + size * 0.6);
+                        ctx.lineTo(x - size, y + size * 0.6);
+                        ctx.fill();
+                        break;
+                    case 'backward':
+                        ctx.moveTo(x, y + size);
+                        ctx.lineTo(x + size, y - size * 0.6);
+                        ctx.lineTo(x - size, y - size * 0.6);
+                        ctx.fill();
+                        break;
+                    case 'pause':
+                        ctx.fillRect(x - size * 0.8, y - size, size * 0.5, size * 2);
+                        ctx.fillRect(x + size * 0.3, y - size, size * 0.5, size * 2);
+                        break;
+                    default:
+                        ctx.font = `${Math.round(radius * 0.4)}px Silkscreen, monospace`;
+                        ctx.textAlign = 'center';
+                        ctx.textBaseline = 'middle';
+                        ctx.fillText('Fire', x, y);
+                        ctx.textAlign = 'left';
+                        ctx.textBaseline = 'alphabetic';
+                }
+            }
+            ctx.globalAlpha = 1.0;
+        }
+    }
+
+    /**
+     * Start drawing a 3D inset within the game view: blanks the rectangle
+     * and clips 3D drawing to it until endInset. Set the inset's camera
+     * (centered on the rectangle) before drawing.
+     * @param {Object} rect - {x, y, width, height} in canvas pixels
+     */
+    beginInset(rect) {
+        this.savedViewRect = this.viewRect;
+        this.viewRect = { left: rect.x, top: rect.y, right: rect.x + rect.width, bottom: rect.y + rect.height };
+
+        const contexts = this.stereoEnabled ? [this.leftCtx, this.rightCtx] : [this.leftCtx];
+        for (const ctx of contexts) {
+            ctx.save();
+            ctx.fillStyle = '#000';
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            ctx.beginPath();
+            ctx.rect(rect.x, rect.y, rect.width, rect.height);
+            ctx.clip();
+        }
+    }
+
+    /**
+     * Finish an inset: restore the game view and frame the rectangle
+     * (at screen depth, same place in both eyes)
+     */
+    endInset(rect) {
+        this.viewRect = this.savedViewRect;
+
+        const contexts = this.stereoEnabled
+            ? [{ ctx: this.leftCtx, color: this.leftColor }, { ctx: this.rightCtx, color: this.rightColor }]
+            : [{ ctx: this.leftCtx, color: CONFIG.RADAR.textColor }];
+
+        for (const { ctx, color } of contexts) {
+            ctx.restore();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(rect.x - 0.5, rect.y - 0.5, rect.width + 1, rect.height + 1);
+        }
+    }
+
     /**
      * Get the apparent Z distance of crosshairs from player, derived from stereo offset.
      * Formula: separation = 2 * halfOffset * eyeToScreen / z
@@ -627,10 +958,10 @@ export class Renderer {
         if (!this.stereoEnabled || this.crosshairsStereoOffset === 0) {
             return 1000;  // Default Z when stereo disabled
         }
-        const { eyeToScreen } = CONFIG.STEREO;
+        const { eyeToScreen, halfOffset } = this.camera;
         // Total separation is 2 * crosshairsStereoOffset (left eye -offset, right eye +offset)
         const totalSeparation = 2 * this.crosshairsStereoOffset;
-        return (2 * this.halfOffset * eyeToScreen) / totalSeparation;
+        return (2 * halfOffset * eyeToScreen) / totalSeparation;
     }
 
     /**
@@ -653,8 +984,8 @@ export class Renderer {
         // Cyan offset left, red offset right (for red-left/cyan-right glasses, creates pop-out)
         // For mono mode, use amber
         const contexts = this.stereoEnabled
-            ? [{ ctx: this.leftCtx, offset: -stereoOffset, color: CONFIG.STEREO.leftColor },
-               { ctx: this.rightCtx, offset: stereoOffset, color: CONFIG.STEREO.rightColor }]
+            ? [{ ctx: this.leftCtx, offset: -stereoOffset, color: this.leftColor },
+               { ctx: this.rightCtx, offset: stereoOffset, color: this.rightColor }]
             : [{ ctx: this.leftCtx, offset: 0, color: CONFIG.RADAR.textColor }];
 
         for (const { ctx, offset, color } of contexts) {
@@ -723,43 +1054,49 @@ export class Renderer {
     }
 
     /**
-     * Composite left/right eye images into final anaglyph output
+     * Put the eye images on screen using the stereo output mode
      */
     endFrame() {
-        if (this.stereoEnabled) {
-            // Get image data from both canvases
-            const leftData = this.leftCtx.getImageData(0, 0, this.width, this.height);
-            const rightData = this.rightCtx.getImageData(0, 0, this.width, this.height);
-            const outputData = this.compositeCtx.createImageData(this.width, this.height);
-
-            const left = leftData.data;
-            const right = rightData.data;
-            const output = outputData.data;
-
-            // Combine: take red from right eye, cyan (green+blue) from left eye
-            // (Red lens over left eye filters out red, shows cyan = left eye image)
-            // (Cyan lens over right eye filters out cyan, shows red = right eye image)
-            for (let i = 0; i < left.length; i += 4) {
-                output[i] = right[i];         // Red from right eye
-                output[i + 1] = left[i + 1];  // Green from left eye (cyan)
-                output[i + 2] = left[i + 2];  // Blue from left eye (cyan)
-                output[i + 3] = 255;          // Full alpha
-            }
+        super.endFrame();
 
-            this.compositeCtx.putImageData(outputData, 0, 0);
-            this.ctx.drawImage(this.compositeCanvas, 0, 0);
-        } else {
-            // Mono mode - just copy left canvas
-            this.ctx.drawImage(this.leftEyeCanvas, 0, 0);
+        if (!this.benchmark || this.benchmark.done) {
+            this.stereoOutput.composite(this);
+            return;
         }
+
+        this.compositeMethod = this.benchmark.method;
+        const start = performance.now();
+        this.stereoOutput.composite(this);
+        // Reading a pixel back waits for the GPU, so canvas operations are
+        // timed to completion rather than just to submission
+        this.ctx.getImageData(0, 0, 1, 1);
+        this.benchmark.record(performance.now() - start);
+        this.compositeMethod = 'canvas';
     }
 
     /**
-     * Toggle stereo mode
+     * A screen-size canvas for intermediate compositing results
+     * @param {string} name - Canvases are kept by name and reused every frame
      */
-    toggleStereo() {
-        this.stereoEnabled = !this.stereoEnabled;
-        return this.stereoEnabled;
+    getScratchCanvas(name) {
+        let canvas = this.scratchCanvases.get(name);
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            this.scratchCanvases.set(name, canvas);
+        }
+        if (canvas.width !== this.pixelWidth || canvas.height !== this.pixelHeight) {
+            canvas.width = this.pixelWidth;
+            canvas.height = this.pixelHeight;
+        }
+        return canvas;
+    }
+
+    /**
+     * Map a point on the visible canvas to eye canvas coordinates
+     * (side-by-side and over/under modes show the eyes shrunk)
+     */
+    toEyePoint(x, y) {
+        return this.stereoOutput.toEyePoint(x, y, this.width, this.height);
     }
 
     /**
@@ -798,8 +1135,8 @@ export class Renderer {
         const largeBlip = smallBlip * 2;
 
         // Stereo colors from config; mono mode uses amber for classic look
-        const leftColor = CONFIG.STEREO.leftColor;
-        const rightColor = CONFIG.STEREO.rightColor;
+        const leftColor = this.leftColor;
+        const rightColor = this.rightColor;
         const contexts = this.stereoEnabled
             ? [{ ctx: this.leftCtx, blipColor: leftColor, playerColor: leftColor, tintColor: leftColor },
                { ctx: this.rightCtx, blipColor: rightColor, playerColor: rightColor, tintColor: rightColor }]
@@ -858,7 +1195,22 @@ export class Renderer {
                     const blipSize = isSmall ? smallBlip : largeBlip;
 
                     ctx.fillStyle = blipColor;
-                    ctx.fillRect(Math.round(dotX), Math.round(dotY), blipSize, blipSize);
+                    if (typeName === 'Blocker') {
+                        // Blockers show as a bar at their depth - full width if horizontal
+                        const barLeft = obj.isHorz ? radarX : radarCenterX + (obj.bLeft / xRadarDiv);
+                        const barWidth = obj.isHorz
+                            ? scaledRadarWidth
+                            : Math.max(smallBlip, (obj.bRight - obj.bLeft) / xRadarDiv);
+                        ctx.fillRect(Math.round(barLeft), Math.round(dotY), Math.round(barWidth), smallBlip);
+                    } else if (typeName === 'Grabber') {
+                        // Grabbers show as a plus sign so they stand out from crosses and saucers
+                        const cx = Math.round(dotX);
+                        const cy = Math.round(dotY);
+                        ctx.fillRect(cx - largeBlip, cy, largeBlip * 2 + smallBlip, smallBlip);
+                        ctx.fillRect(cx, cy - largeBlip, smallBlip, largeBlip * 2 + smallBlip);
+                    } else {
+                        ctx.fillRect(Math.round(dotX), Math.round(dotY), blipSize, blipSize);
+                    }
                 }
             }
 
@@ -927,8 +1279,10 @@ export class Renderer {
      * Positions from original StatusIndicator.h
      * Font: Silkscreen - bitmap-style font matching old Mac aesthetic
      * Panel has fixed size, centered vertically with right margin
+     * The game seed (if given) is shown under the control hints so a
+     * level can be reproduced with ?seed=N
      */
-    drawStatusText(score, level, energy) {
+    drawStatusText(score, level, energy, lives, seed = null) {
         const radar = CONFIG.RADAR;
 
         // Get fixed layout for status panel
@@ -952,8 +1306,8 @@ export class Renderer {
         // Stereo colors from config (composites to white at screen depth)
         // Mono mode uses amber for classic look
         const contexts = this.stereoEnabled
-            ? [{ ctx: this.leftCtx, color: CONFIG.STEREO.leftColor },
-               { ctx: this.rightCtx, color: CONFIG.STEREO.rightColor }]
+            ? [{ ctx: this.leftCtx, color: this.leftColor },
+               { ctx: this.rightCtx, color: this.rightColor }]
             : [{ ctx: this.leftCtx, color: CONFIG.RADAR.textColor }];
 
         for (const { ctx, color } of contexts) {
@@ -981,6 +1335,8 @@ export class Renderer {
 
             // Empty portion is just black (no fill needed, background is already black)
 
+            this.drawLives(ctx, lives, layout.x + scaledXCenter, layout.y + Math.round(radar.yLives * scale), scale);
+
             // Reset text alignment
             ctx.textAlign = 'left';
             ctx.textBaseline = 'alphabetic';
@@ -992,8 +1348,8 @@ export class Renderer {
         const aboveY = layout.y - Math.round(15 * scale);
 
         const aboveContexts = this.stereoEnabled
-            ? [{ ctx: this.leftCtx, color: CONFIG.STEREO.leftColor },
-               { ctx: this.rightCtx, color: CONFIG.STEREO.rightColor }]
+            ? [{ ctx: this.leftCtx, color: this.leftColor },
+               { ctx: this.rightCtx, color: this.rightColor }]
             : [{ ctx: this.leftCtx, color: '#666' }];
         for (const { ctx, color } of aboveContexts) {
             ctx.font = `${aboveFontSize}px Silkscreen, monospace`;
@@ -1018,8 +1374,8 @@ export class Renderer {
 
         // Hint text uses dimmer stereo colors
         const hintContexts = this.stereoEnabled
-            ? [{ ctx: this.leftCtx, color: CONFIG.STEREO.leftColor },
-               { ctx: this.rightCtx, color: CONFIG.STEREO.rightColor }]
+            ? [{ ctx: this.leftCtx, color: this.leftColor },
+               { ctx: this.rightCtx, color: this.rightColor }]
             : [{ ctx: this.leftCtx, color: '#666' }];
         for (const { ctx, color } of hintContexts) {
             ctx.font = `${hintFontSize}px Silkscreen, monospace`;
@@ -1029,9 +1385,12 @@ export class Renderer {
             ctx.textBaseline = 'top';
             ctx.letterSpacing = `${Math.round(-1 * scale)}px`;
 
-            ctx.fillText('Press and hold 2 to go forward', panelCenterX, hintY);
-            ctx.fillText('1 to go backward', panelCenterX, hintY + lineHeight);
-            ctx.fillText('Click to fire', panelCenterX, hintY + lineHeight * 2);
+            this.controlHints.forEach((hint, i) => {
+                ctx.fillText(hint, panelCenterX, hintY + lineHeight * i);
+            });
+            if (seed !== null) {
+                ctx.fillText(`Seed ${seed}`, panelCenterX, hintY + lineHeight * (this.controlHints.length + 1));
+            }
             ctx.globalAlpha = 1.0;
 
             ctx.letterSpacing = '0px';
@@ -1043,6 +1402,8 @@ export class Renderer {
 
     /**
      * Resize all canvases
+     * @param {number} width - Logical size (CSS pixels)
+     * @param {number} height
      */
     resize(width, height) {
         this.width = width;
@@ -1050,13 +1411,36 @@ export class Renderer {
         this.centerX = width / 2;
         this.centerY = height / 2;
 
-        this.leftEyeCanvas.width = width;
-        this.leftEyeCanvas.height = height;
+        this.updateCanvasSizes();
+    }
 
-        this.rightEyeCanvas.width = width;
-        this.rightEyeCanvas.height = height;
+    /**
+     * Set the canvas resolution: canvas pixels per logical pixel
+     * (devicePixelRatio times the render scale). Layout doesn't change.
+     */
+    setPixelRatio(ratio) {
+        if (ratio === this.pixelRatio) return;
 
-        this.compositeCanvas.width = width;
-        this.compositeCanvas.height = height;
+        this.pixelRatio = ratio;
+        this.updateCanvasSizes();
+    }
+
+    /**
+     * Size the screen, eye and compositing canvases for the logical size and
+     * pixel ratio, and scale the eye contexts so drawing stays in logical pixels
+     */
+    updateCanvasSizes() {
+        this.pixelWidth = Math.max(1, Math.round(this.width * this.pixelRatio));
+        this.pixelHeight = Math.max(1, Math.round(this.height * this.pixelRatio));
+
+        for (const canvas of [this.canvas, this.leftEyeCanvas, this.rightEyeCanvas, this.compositeCanvas]) {
+            canvas.width = this.pixelWidth;
+            canvas.height = this.pixelHeight;
+        }
+
+        // Resizing a canvas resets its context
+        for (const ctx of [this.leftCtx, this.rightCtx]) {
+            ctx.setTransform(this.pixelWidth / this.width, 0, 0, this.pixelHeight / this.height, 0, 0);
+        }
     }
 }
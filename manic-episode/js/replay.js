@@ -0,0 +1,166 @@
+/*
+ * ZGraf Web - Input Recording and Replay
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// A replay is the game seed, the starting level and the per-tick input.
+// The simulation is deterministic given those, so feeding the input back
+// reproduces the game exactly. File format (JSON):
+//
+//   {
+//     "format": "zgraf-replay", "version": 1,
+//     "tickRate": 60, "seed": 1234, "level": 1,
+//     "speedFactor": 0.5,                           // missing = the default speed
+//     "ticks": 5400,
+//     "inputs": [[tick, aimX, aimY, flags], ...],   // only when input changes
+//     "result": { "score": 4200, "energy": 0, "level": 2, "isGameOver": true }
+//   }
+
+export const REPLAY_FORMAT = 'zgraf-replay';
+export const REPLAY_VERSION = 1;
+
+// Game speed of replays that don't say (the bundled demos predate the
+// setting), and of games when none is chosen
+export const DEFAULT_SPEED_FACTOR = CONFIG.SPEED_FACTOR;
+
+// Input flags, packed into one number per entry
+const FLAG_FORWARD = 1;
+const FLAG_BACKWARD = 2;
+const FLAG_FIRE = 4;
+const FLAG_SWARM = 8;
+
+function packFlags(input) {
+    return (input.forward ? FLAG_FORWARD : 0) |
+           (input.backward ? FLAG_BACKWARD : 0) |
+           (input.fire ? FLAG_FIRE : 0) |
+           (input.swarm ? FLAG_SWARM : 0);
+}
+
+/**
+ * Records the input applied on each simulation tick
+ */
+export class ReplayRecorder {
+    /**
+     * @param {number} seed - Game seed
+     * @param {number} level - Starting level
+     * @param {number} speedFactor - Game speed the game runs at
+     */
+    constructor(seed, level, speedFactor = DEFAULT_SPEED_FACTOR) {
+        this.seed = seed;
+        this.level = level;
+        this.speedFactor = speedFactor;
+        this.ticks = 0;
+        this.inputs = [];
+
+        // Last recorded entry, to skip ticks where nothing changed
+        this.lastAimX = null;
+        this.lastAimY = null;
+        this.lastFlags = 0;
+    }
+
+    /**
+     * Record the input frame about to be applied this tick
+     */
+    record(input) {
+        const flags = packFlags(input);
+        if (this.inputs.length === 0 ||
+            input.aimX !== this.lastAimX ||
+            input.aimY !== this.lastAimY ||
+            flags !== this.lastFlags) {
+            this.inputs.push([this.ticks, input.aimX, input.aimY, flags]);
+            this.lastAimX = input.aimX;
+            this.lastAimY = input.aimY;
+            this.lastFlags = flags;
+        }
+        this.ticks++;
+    }
+
+    /**
+     * Build the replay file contents
+     * @param {Object} result - Final state ({score, energy, level, isGameOver})
+     */
+    finish(result) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            tickRate: CONFIG.TICK_RATE,
+            seed: this.seed,
+            level: this.level,
+            speedFactor: this.speedFactor,
+            ticks: this.ticks,
+            inputs: this.inputs.map((entry) => entry.slice()),
+            result: { ...result }
+        };
+    }
+}
+
+/**
+ * Check a parsed replay file and throw if it can't be played
+ */
+export function validateReplay(replay) {
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a ZGraf replay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version}`);
+    }
+    if (replay.tickRate !== CONFIG.TICK_RATE) {
+        throw new Error(`Replay recorded at ${replay.tickRate} ticks/s, game runs at ${CONFIG.TICK_RATE}`);
+    }
+    if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.level) ||
+        !Number.isInteger(replay.ticks) || !Array.isArray(replay.inputs)) {
+        throw new Error('Replay is missing seed, level, ticks or inputs');
+    }
+    if (replay.speedFactor !== undefined && !(typeof replay.speedFactor === 'number' && replay.speedFactor > 0)) {
+        throw new Error(`Bad replay speed factor: ${replay.speedFactor}`);
+    }
+    return replay;
+}
+
+/**
+ * Game speed a replay was recorded at
+ */
+export function getReplaySpeedFactor(replay) {
+    return replay.speedFactor ?? DEFAULT_SPEED_FACTOR;
+}
+
+/**
+ * Feeds a recorded replay back one tick at a time
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = validateReplay(replay);
+        this.tick = 0;
+        this.nextEntry = 0;
+        this.current = { aimX: null, aimY: null, forward: false, backward: false, fire: false, swarm: false };
+    }
+
+    /**
+     * Input frame for the next tick
+     */
+    next() {
+        const inputs = this.replay.inputs;
+        while (this.nextEntry < inputs.length && inputs[this.nextEntry][0] <= this.tick) {
+            const [, aimX, aimY, flags] = inputs[this.nextEntry];
+            this.current = {
+                aimX,
+                aimY,
+                forward: (flags & FLAG_FORWARD) !== 0,
+                backward: (flags & FLAG_BACKWARD) !== 0,
+                fire: (flags & FLAG_FIRE) !== 0,
+                swarm: (flags & FLAG_SWARM) !== 0
+            };
+            this.nextEntry++;
+        }
+        this.tick++;
+        return { ...this.current };
+    }
+
+    isFinished() {
+        return this.tick >= this.replay.ticks;
+    }
+}
@@ -0,0 +1,65 @@
+/*
+ * ZGraf Web - Render Resolution
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// The canvases are drawn at devicePixelRatio times a render scale
+// (CONFIG.RENDER.scale, or ?scale=N in the URL): 1 is sharp on high-DPI
+// screens, below 1 is faster. With dynamic resolution on, the scale drops
+// a step at a time while frames take longer than the budget to draw, and
+// climbs back toward the chosen scale once there's room again.
+
+export class DynamicResolution {
+    /**
+     * @param {number} scale - Chosen render scale (the most dynamic resolution goes up to)
+     * @param {Object} settings - Anything not given comes from CONFIG.RENDER
+     */
+    constructor(scale = CONFIG.RENDER.scale, settings = {}) {
+        this.settings = { ...CONFIG.RENDER, ...settings };
+        const { minScale, maxScale } = this.settings;
+
+        if (!(scale >= minScale && scale <= maxScale)) {
+            throw new Error(`Render scale must be between ${minScale} and ${maxScale}`);
+        }
+        this.targetScale = scale;
+        this.scale = scale;
+
+        this.averageMs = 0;      // Smoothed time to draw a frame
+        this.lastChange = 0;     // When the scale last changed (ms)
+    }
+
+    get enabled() {
+        return this.settings.dynamic;
+    }
+
+    /**
+     * Record how long a frame took to draw
+     * @param {number} frameMs - Time from beginFrame to the end of endFrame
+     * @param {number} now - Current time (ms)
+     * @returns {boolean} True if the scale changed
+     */
+    update(frameMs, now) {
+        const { frameBudgetMs, minScale, step, adjustInterval } = this.settings;
+
+        this.averageMs = this.averageMs === 0 ? frameMs : this.averageMs * 0.9 + frameMs * 0.1;
+        if (!this.enabled || now - this.lastChange < adjustInterval) return false;
+
+        let scale = this.scale;
+        if (this.averageMs > frameBudgetMs) {
+            scale = Math.max(minScale, scale - step);
+        } else if (this.averageMs < frameBudgetMs * 0.5) {
+            scale = Math.min(this.targetScale, scale + step);
+        }
+        if (scale === this.scale) return false;
+
+        // Round off float drift from the steps
+        this.scale = Math.round(scale * 100) / 100;
+        this.lastChange = now;
+        this.averageMs = 0;
+        return true;
+    }
+}
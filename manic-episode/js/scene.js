@@ -0,0 +1,283 @@
+/*
+ * ZGraf Web - Scene Renderer
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+import { projectLine, projectRect, projectPolygon, clipSegment2D } from './projection.js';
+import { getStereoOutput } from './stereo.js';
+import { Camera } from './camera.js';
+import { DepthCue } from './depthcue.js';
+
+// The 3D half of the renderer: the primitives objects draw with
+// (drawFilledRect3D, drawFrameRect3D, drawLine3D, drawFilledPolygon3D) and
+// the tunnel. Each primitive is shaded by its depth (depthcue.js), projected
+// through the camera for each eye, clipped to the view and passed to a
+// backend (backends.js). Nothing here touches the DOM, so a scene can be
+// drawn under Node into a command list or an SVG; Renderer (renderer.js)
+// adds the canvases, the 2D UI and compositing on top.
+
+export class SceneRenderer {
+    /**
+     * @param {Object} backend - Where projected primitives go (backends.js)
+     * @param {number} width - Image size in pixels
+     * @param {number} height
+     */
+    constructor(backend, width = CONFIG.WIDTH, height = CONFIG.HEIGHT) {
+        this.backend = backend;
+        this.width = width;
+        this.height = height;
+
+        // View in canvas coordinates, set each frame (3D drawing is clipped to it)
+        this.viewRect = null;
+
+        // How the eye images reach the screen, and the eye colors (stereo.js)
+        this.setStereoOutput(getStereoOutput(CONFIG.STEREO.enabled ? CONFIG.STEREO.output : 'mono'));
+        this.lastStereoOutput = this.stereoOutput.stereo ? this.stereoOutput : getStereoOutput('anaglyph');
+
+        // Viewpoint for 3D drawing (see setCamera)
+        this.camera = new Camera();
+
+        // Shading by distance from the camera
+        this.depthCue = new DepthCue();
+    }
+
+    /**
+     * Send 3D drawing somewhere else from the next primitive on
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Start a frame covering the whole image
+     */
+    beginFrame() {
+        this.viewRect = { left: 0, top: 0, right: this.width, bottom: this.height };
+        this.backend.beginFrame(this.width, this.height);
+    }
+
+    endFrame() {
+        this.backend.endFrame();
+    }
+
+    /**
+     * Set the viewpoint that 3D drawing projects through
+     * @param {Camera} camera - From camera.js
+     */
+    setCamera(camera) {
+        this.camera = camera;
+    }
+
+    /**
+     * Switch stereo output mode (see stereo.js) - takes effect next frame
+     */
+    setStereoOutput(output) {
+        this.stereoOutput = output;
+        this.stereoEnabled = output.stereo;
+        if (output.stereo) {
+            this.lastStereoOutput = output;
+        }
+
+        const colors = output.eyeColors;
+        this.leftColor = colors.left;
+        this.rightColor = colors.right;
+        this.leftColorValues = colors.leftValues;
+        this.rightColorValues = colors.rightValues;
+    }
+
+    /**
+     * Toggle stereo mode (between mono and the last stereo output)
+     */
+    toggleStereo() {
+        this.setStereoOutput(this.stereoEnabled ? getStereoOutput('mono') : this.lastStereoOutput);
+        return this.stereoEnabled;
+    }
+
+    /**
+     * Get scale factor based on current window size vs original Mac screen
+     * Used for 3D rendering elements (tunnel, objects)
+     */
+    getScale() {
+        // Scale based on height to maintain proportions
+        return this.height / CONFIG.ORIGINAL.totalHeight;
+    }
+
+    getLineWidth() {
+        return Math.max(1, Math.round(this.getScale()));
+    }
+
+    /**
+     * Eye color scaled by shade (0-1)
+     * @param {string} eye - 'left', 'right' or 'white' (mono)
+     */
+    getShadeColor(eye, shade) {
+        if (eye === 'white') {
+            const intensity = Math.floor(shade * 255);
+            return `rgb(${intensity}, ${intensity}, ${intensity})`;
+        }
+        const { r, g, b } = eye === 'left' ? this.leftColorValues : this.rightColorValues;
+        return `rgb(${Math.floor(shade * r)}, ${Math.floor(shade * g)}, ${Math.floor(shade * b)})`;
+    }
+
+    /**
+     * Shade of a primitive after depth cueing
+     * @param {number} shade - Its own shade (0-1)
+     * @param {number} z - World z (for a shape, its first point's)
+     * @param {number} dz - How much deeper than z its middle is (world units)
+     */
+    getDepthShade(shade, z, dz = 0) {
+        return this.depthCue.apply(shade, this.camera.relativeZ(z) + dz * this.camera.direction);
+    }
+
+    /**
+     * Eyes 3D primitives are drawn for: both in stereo, a white one in mono
+     * (the left eye is offset right and the right eye left, for pop-out)
+     */
+    getEyes() {
+        return this.stereoEnabled ? ['left', 'right'] : ['white'];
+    }
+
+    /**
+     * Draw a 3D line with specified shade (0-1)
+     */
+    drawLine3D(x1, y1, z1, x2, y2, z2, shade = 1.0) {
+        shade = this.getDepthShade(shade, z1, (z2 - z1) / 2);
+        for (const eye of this.getEyes()) {
+            const line = projectLine(this.camera, x1, y1, z1, x2, y2, z2, this.camera.getEyeOffset(eye), this.viewRect);
+            if (line) {
+                this.backend.strokeLines(eye, [line], this.getShadeColor(eye, shade), this.getLineWidth());
+            }
+        }
+    }
+
+    /**
+     * Draw a 3D filled rectangle at a given Z depth
+     */
+    drawFilledRect3D(x, y, z, halfWidth, halfHeight, shade = 1.0) {
+        shade = this.getDepthShade(shade, z);
+        for (const eye of this.getEyes()) {
+            const rect = projectRect(this.camera, x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight, z,
+                                     this.camera.getEyeOffset(eye), this.viewRect);
+            if (rect) {
+                this.backend.fillRect(eye, rect, this.getShadeColor(eye, shade));
+            }
+        }
+    }
+
+    /**
+     * Draw a 3D frame rectangle at a given Z depth
+     */
+    drawFrameRect3D(x, y, z, halfWidth, halfHeight, shade = 1.0) {
+        shade = this.getDepthShade(shade, z);
+        for (const eye of this.getEyes()) {
+            // Frames are stroked edge by edge, so clipping doesn't add edges along the view border
+            const rect = projectRect(this.camera, x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight, z,
+                                     this.camera.getEyeOffset(eye));
+            if (!rect) continue;
+
+            const right = rect.x + rect.width;
+            const bottom = rect.y + rect.height;
+            const edges = [
+                { x1: rect.x, y1: rect.y, x2: right, y2: rect.y },
+                { x1: right, y1: rect.y, x2: right, y2: bottom },
+                { x1: right, y1: bottom, x2: rect.x, y2: bottom },
+                { x1: rect.x, y1: bottom, x2: rect.x, y2: rect.y }
+            ];
+            const lines = this.viewRect
+                ? edges.map((e) => clipSegment2D(e.x1, e.y1, e.x2, e.y2, this.viewRect)).filter(Boolean)
+                : edges;
+
+            if (lines.length > 0) {
+                this.backend.strokeLines(eye, lines, this.getShadeColor(eye, shade), this.getLineWidth());
+            }
+        }
+    }
+
+    /**
+     * Draw a filled 3D polygon (corners may be at different depths)
+     * @param {Array<{x, y, z}>} points - Corners in order
+     */
+    drawFilledPolygon3D(points, shade = 1.0) {
+        const meanZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
+        shade = this.getDepthShade(shade, points[0].z, meanZ - points[0].z);
+        for (const eye of this.getEyes()) {
+            const polygon = projectPolygon(this.camera, points, this.camera.getEyeOffset(eye), this.viewRect);
+            if (polygon) {
+                this.backend.fillPolygon(eye, polygon, this.getShadeColor(eye, shade));
+            }
+        }
+    }
+
+    /**
+     * Draw the tunnel frame at a specific Z depth
+     * This draws the rectangular boundary of the tunnel
+     */
+    drawTunnelFrame(z, shade = CONFIG.SHADES.tunnelFrame) {
+        const { left, right, top, bottom } = CONFIG.TUNNEL;
+
+        // Draw four edges of the tunnel frame
+        // Top edge
+        this.drawLine3D(left, top, z, right, top, z, shade);
+        // Bottom edge
+        this.drawLine3D(left, bottom, z, right, bottom, z, shade);
+        // Left edge
+        this.drawLine3D(left, top, z, left, bottom, z, shade);
+        // Right edge
+        this.drawLine3D(right, top, z, right, bottom, z, shade);
+    }
+
+    /**
+     * Draw multiple tunnel frames from far to near, and the rails between them
+     * Frames are at fixed world Z positions, spaced by frameSpacing
+     * (the camera handles wrap-around; depth cueing fades the far ones)
+     */
+    drawTunnelFrames() {
+        const { frameSpacing, length } = CONFIG.TUNNEL;
+        const { near, far, direction } = this.camera;
+        const rails = this.getRailPositions();
+
+        const numFrames = Math.ceil(length / frameSpacing);
+
+        for (let i = 0; i < numFrames; i++) {
+            const worldZ = i * frameSpacing;
+            const relZ = this.camera.relativeZ(worldZ);
+
+            // Only draw frames ahead of the camera within visible range
+            if (relZ >= near && relZ <= far) {
+                this.drawTunnelFrame(worldZ, CONFIG.SHADES.tunnelFrame);
+            }
+
+            // Rails are drawn a frame gap at a time, so each piece gets its own depth shade
+            // (the last gap is short when the tunnel length isn't a whole number of gaps)
+            const gap = Math.min(frameSpacing, length - worldZ);
+            const endRelZ = relZ + gap * direction;
+            if (rails.length > 0 && Math.max(relZ, endRelZ) >= near && Math.min(relZ, endRelZ) <= far) {
+                for (const [x, y] of rails) {
+                    this.drawLine3D(x, y, worldZ, x, y, worldZ + gap, CONFIG.SHADES.tunnelFrame);
+                }
+            }
+        }
+    }
+
+    /**
+     * Where the rails run along the tunnel walls (CONFIG.TUNNEL.rails, railCorners)
+     * @returns {Array<[number, number]>} x, y of each rail
+     */
+    getRailPositions() {
+        const { left, right, top, bottom, rails, railCorners } = CONFIG.TUNNEL;
+        const positions = [];
+
+        for (let i = 1; i <= rails; i++) {
+            const x = left + (right - left) * i / (rails + 1);
+            const y = top + (bottom - top) * i / (rails + 1);
+            positions.push([x, top], [x, bottom], [left, y], [right, y]);
+        }
+        if (railCorners) {
+            positions.push([left, top], [right, top], [left, bottom], [right, bottom]);
+        }
+        return positions;
+    }
+}
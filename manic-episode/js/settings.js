@@ -0,0 +1,253 @@
+/*
+ * ZGraf Web - Settings
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+import { GAME_STEREO } from './camera.js';
+import { getDefaultStorage, readJson, writeJson } from './storage.js';
+
+// What players can change from the settings menu, kept in storage between
+// sessions. SETTINGS_SCHEMA says what each setting is and what values are
+// allowed; saved values are checked against it on load, so a hand-edited or
+// out-of-date save falls back to defaults (numbers are pulled into range)
+// rather than breaking the game. Saves carry SETTINGS_VERSION: when a
+// setting is renamed or changes meaning, bump it and add a step to
+// MIGRATIONS that turns the previous version's values into the new ones.
+//
+// This module only keeps the values; main.js applies them to the game.
+
+const STORAGE_KEY = 'manic-episode-settings';
+export const SETTINGS_VERSION = 1;
+
+// type: 'boolean' or 'number' (min, max, step); format shows the value in the menu
+export const SETTINGS_SCHEMA = [
+    { key: 'stereo', label: 'Stereo 3D', type: 'boolean', default: CONFIG.STEREO.enabled },
+    { key: 'eyeSeparation', label: 'Eye separation', type: 'number', default: 100, min: 25, max: 200, step: 5,
+      format: (v) => `${v}%` },
+    { key: 'volume', label: 'Volume', type: 'number', default: 50, min: 0, max: 100, step: 10,
+      format: (v) => `${v}%` },
+    { key: 'speedFactor', label: 'Game speed', type: 'number', default: CONFIG.SPEED_FACTOR,
+      min: 0.25, max: 1, step: 0.05, format: (v) => v.toFixed(2) },
+    { key: 'pointerLock', label: 'Capture mouse', type: 'boolean', default: CONFIG.PLAYER.pointerLock },
+    { key: 'mouseSensitivity', label: 'Mouse sensitivity', type: 'number',
+      default: CONFIG.PLAYER.mouseSensitivity, min: 1, max: 10, step: 1 },
+    { key: 'mouseInvertY', label: 'Invert mouse', type: 'boolean', default: CONFIG.PLAYER.mouseInvertY },
+    { key: 'mouseSmoothing', label: 'Mouse smoothing', type: 'number', default: CONFIG.PLAYER.mouseSmoothing,
+      min: 0, max: 0.9, step: 0.1, format: (v) => v.toFixed(1) }
+];
+
+// MIGRATIONS[n] turns version n values into version n + 1
+const MIGRATIONS = {
+    // Version 0: a bare object of values, before saves had a version
+    0: (values) => values
+};
+
+/**
+ * Eye separation setting (percent of the game's) as a camera halfOffset
+ */
+export function eyeSeparationToHalfOffset(percent) {
+    return GAME_STEREO.halfOffset * percent / 100;
+}
+
+function getSchema(key) {
+    const schema = SETTINGS_SCHEMA.find((s) => s.key === key);
+    if (!schema) {
+        throw new Error(`Unknown setting: ${key}`);
+    }
+    return schema;
+}
+
+/**
+ * A value checked against its schema entry: the value, pulled into range
+ * and onto a step for numbers, or undefined if it can't be used
+ */
+export function validateSetting(schema, value) {
+    if (schema.type === 'boolean') {
+        return typeof value === 'boolean' ? value : undefined;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return undefined;
+    }
+    const steps = Math.round((Math.max(schema.min, Math.min(schema.max, value)) - schema.min) / schema.step);
+    // Round off float drift from the steps
+    return Math.round((schema.min + steps * schema.step) * 1000) / 1000;
+}
+
+/**
+ * Saved data brought up to SETTINGS_VERSION
+ * @returns {Object} Values by key (not yet validated)
+ */
+export function migrateSettings(saved) {
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+
+    let version = Number.isInteger(saved.version) ? saved.version : 0;
+    let values = version === 0 ? saved : saved.values;
+    if (version > SETTINGS_VERSION || !values || typeof values !== 'object') {
+        // Saved by a newer version of the game (or garbled) - start over
+        return {};
+    }
+    while (version < SETTINGS_VERSION) {
+        values = MIGRATIONS[version](values);
+        version++;
+    }
+    return values;
+}
+
+export class Settings {
+    /**
+     * @param {Object} storage - Web Storage interface (default: localStorage, or memory under Node)
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.values = this.load();
+
+        // Called with (key, value) after a setting changes
+        this.onChange = null;
+    }
+
+    /**
+     * Saved values, migrated and validated; defaults for anything missing or invalid
+     */
+    load() {
+        const saved = migrateSettings(readJson(this.storage, STORAGE_KEY, null));
+        const values = {};
+        for (const schema of SETTINGS_SCHEMA) {
+            values[schema.key] = validateSetting(schema, saved[schema.key]) ?? schema.default;
+        }
+        return values;
+    }
+
+    save() {
+        writeJson(this.storage, STORAGE_KEY, { version: SETTINGS_VERSION, values: this.values });
+    }
+
+    get(key) {
+        getSchema(key);
+        return this.values[key];
+    }
+
+    set(key, value) {
+        const checked = validateSetting(getSchema(key), value);
+        if (checked === undefined) {
+            throw new Error(`Invalid value for setting ${key}: ${value}`);
+        }
+        if (checked === this.values[key]) return;
+
+        this.values[key] = checked;
+        this.save();
+        this.onChange?.(key, checked);
+    }
+
+    /**
+     * Step a number up or down, or flip a boolean
+     * @param {number} direction - 1 or -1
+     */
+    adjust(key, direction) {
+        const schema = getSchema(key);
+        if (schema.type === 'boolean') {
+            this.set(key, !this.values[key]);
+        } else {
+            this.set(key, this.values[key] + schema.step * direction);
+        }
+    }
+
+    reset() {
+        for (const schema of SETTINGS_SCHEMA) {
+            this.set(schema.key, schema.default);
+        }
+    }
+
+    describe(key) {
+        const schema = getSchema(key);
+        const value = this.values[key];
+        if (schema.type === 'boolean') return value ? 'On' : 'Off';
+        return schema.format ? schema.format(value) : String(value);
+    }
+}
+
+// Menu actions from a gamepad (input.js actions), as the keys they stand for
+const ACTION_KEYS = { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+                      fire: 'Enter', pause: 'Escape' };
+
+/**
+ * The settings menu: a row per setting, then extra rows that do something
+ * when chosen (e.g. open the controls screen)
+ */
+export class SettingsMenu {
+    /**
+     * @param {Settings} settings
+     * @param {Array<{label, run}>} commands - Rows after the settings; run() is called on Enter
+     */
+    constructor(settings, commands = []) {
+        this.settings = settings;
+        this.commands = commands;
+        this.selected = 0;
+    }
+
+    get rowCount() {
+        return SETTINGS_SCHEMA.length + this.commands.length;
+    }
+
+    /**
+     * @returns {boolean} False once the menu is done
+     */
+    handleKey(e) {
+        const schema = SETTINGS_SCHEMA[this.selected];
+        switch (e.key) {
+            case 'ArrowUp':
+                this.selected = (this.selected + this.rowCount - 1) % this.rowCount;
+                break;
+            case 'ArrowDown':
+                this.selected = (this.selected + 1) % this.rowCount;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                if (schema) {
+                    this.settings.adjust(schema.key, e.key === 'ArrowRight' ? 1 : -1);
+                }
+                break;
+            case 'Enter':
+            case ' ':
+                if (!schema) {
+                    this.commands[this.selected - SETTINGS_SCHEMA.length].run();
+                } else if (schema.type === 'boolean') {
+                    this.settings.adjust(schema.key, 1);
+                }
+                break;
+            case 'Escape':
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Gamepad navigation: D-pad moves and changes, A chooses, Start closes
+     * @returns {boolean} False once the menu is done
+     */
+    handleAction(action) {
+        const key = ACTION_KEYS[action];
+        return key ? this.handleKey({ key }) : true;
+    }
+
+    /**
+     * Rows for Renderer.drawMenu
+     */
+    getRows() {
+        return [
+            ...SETTINGS_SCHEMA.map(({ key, label }) => ({ label, value: this.settings.describe(key) })),
+            ...this.commands.map(({ label }) => ({ label, value: '' }))
+        ];
+    }
+
+    getHelp() {
+        const schema = SETTINGS_SCHEMA[this.selected];
+        const note = schema?.key === 'speedFactor' ? 'Game speed changes from the next game' : '';
+        return [
+            note || 'Up/Down: choose   Left/Right: change   Enter: select',
+            'Esc: done'
+        ];
+    }
+}
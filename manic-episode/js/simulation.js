@@ -0,0 +1,529 @@
+/*
+ * ZGraf Web - Simulation
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { Tunnel } from './tunnel.js';
+import { Player } from './player.js';
+import { Game } from './game.js';
+import { TICK_MS } from './clock.js';
+import { randomSeed } from './random.js';
+import { ReplayRecorder, ReplayPlayer, getReplaySpeedFactor, DEFAULT_SPEED_FACTOR } from './replay.js';
+import { LevelEditor } from './editor.js';
+import { InitialsEntry } from './highscores.js';
+
+// Game states
+export const GameState = {
+    LOADING: 'loading',
+    INTRO: 'intro',      // Zoom grid animation
+    ATTRACT: 'attract',
+    PLAYING: 'playing',
+    GAME_OVER: 'gameover',
+    ENTER_INITIALS: 'initials',  // High score name entry after game over
+    EDITING: 'editing'   // Level editor - player flies, gameplay paused
+};
+
+// Attract mode screen timings (ms)
+const HIGH_SCORE_SCREEN_TIME = 8000;   // High score table on screen
+const ATTRACT_LEVEL_TIME = 20000;      // Aphid attract level between tables (when there are no demos)
+const INITIALS_TIMEOUT = 30000;        // Initials entry gives up and saves what's there
+
+// Aphids in a swarm spawned by the swarm cheat
+const SWARM_CHEAT_SIZE = 100;
+
+/**
+ * Create an empty per-tick input frame
+ * aimX/aimY are tunnel coordinates (null = leave player where it is)
+ * fire and swarm (the aphid swarm cheat) are trigger requests - they're
+ * consumed by the tick that applies them
+ */
+export function createInput() {
+    return {
+        aimX: null,
+        aimY: null,
+        forward: false,
+        backward: false,
+        fire: false,
+        swarm: false
+    };
+}
+
+/**
+ * Game simulation - tunnel, player and game rules, stepped in fixed ticks
+ * Owns no canvas, audio context or DOM state, so it runs the same in the
+ * browser (driven by main.js) and under Node (see headless.js)
+ */
+export class Simulation {
+    /**
+     * @param {Object} options
+     * @param {number|null} options.seed - Seed for every game (null = fresh seed per game)
+     * @param {LevelSet} options.levels - Level definitions (see levels.js); can be set later
+     * @param {HighScoreTable} options.highScores - Where qualifying games are recorded (null = none)
+     * @param {number} options.speedFactor - Game speed for new games (default DEFAULT_SPEED_FACTOR; replays use their own)
+     */
+    constructor(options = {}) {
+        this.tunnel = new Tunnel();
+        this.player = new Player(this.tunnel);
+        this.game = new Game(this.tunnel, this.player);
+
+        this.tunnel.setPlayer(this.player);
+        this.tunnel.setGame(this.game);
+        if (options.levels) {
+            this.game.setLevels(options.levels);
+        }
+
+        this.state = GameState.LOADING;
+        this.paused = false;
+
+        this.fixedSeed = options.seed ?? null;
+        this.speedFactor = options.speedFactor ?? DEFAULT_SPEED_FACTOR;
+
+        // Input applied at the start of the next tick
+        this.input = createInput();
+
+        // Ticks simulated since construction
+        this.tickCount = 0;
+
+        // Replays: every game is recorded; playback replaces live input
+        this.recorder = null;     // ReplayRecorder for the game in progress
+        this.lastReplay = null;   // Replay of the most recently finished game
+        this.playback = null;     // ReplayPlayer driving input, if watching a replay
+
+        // Recorded demo games cycled in attract mode (empty = aphid-only attract level)
+        this.demos = [];
+        this.demoIndex = 0;
+
+        // LevelEditor while in EDITING state
+        this.editor = null;
+
+        // High scores: the table, the finished game waiting to be entered,
+        // and the entry screen while in ENTER_INITIALS state
+        this.highScores = options.highScores ?? null;
+        this.finalResult = null;
+        this.initialsEntry = null;
+        this.lastHighScoreRank = -1;   // Row to highlight on the table (-1 = none)
+
+        // Attract mode alternates demo games (or the aphid level) with the high score table
+        this.showingHighScores = false;
+        this.attractTime = 0;
+    }
+
+    /**
+     * Start attract mode with flashing "press to play"
+     * Alternates the high score table (if there are scores) with the next
+     * bundled demo game, or the original aphid-filled demo level if there
+     * are no demos
+     * @param {boolean|null} showHighScores - Force the table on/off (null = alternate)
+     */
+    startAttractMode(showHighScores = null) {
+        this.finishRecording();
+        this.playback = null;
+        this.state = GameState.ATTRACT;
+        this.paused = false;
+        this.game.isGameOver = false;
+        this.attractTime = 0;
+
+        this.showingHighScores = (showHighScores ?? !this.showingHighScores) && this.hasHighScores();
+        if (!this.showingHighScores) {
+            this.lastHighScoreRank = -1;
+        }
+
+        if (this.demos.length > 0 && !this.showingHighScores) {
+            const demo = this.demos[this.demoIndex % this.demos.length];
+            this.demoIndex++;
+            this.game.isDemo = true;
+            this.beginPlayback(demo);
+            return;
+        }
+
+        this.game.isDemo = false;
+        this.setGameSpeed(this.speedFactor);
+        this.chooseSeed();
+        this.game.startLevel(0);  // Level 0 = attract/demo mode
+    }
+
+    hasHighScores() {
+        return this.highScores !== null && !this.highScores.isEmpty();
+    }
+
+    /**
+     * Game over screen finished - enter initials for a qualifying score,
+     * otherwise straight back to attract mode
+     */
+    endGameOver() {
+        const result = this.finalResult;
+        this.finalResult = null;
+
+        if (result && this.highScores && this.highScores.qualifies(result.score)) {
+            this.state = GameState.ENTER_INITIALS;
+            this.input = createInput();
+            this.initialsEntry = new InitialsEntry(result);
+            return;
+        }
+        this.startAttractMode();
+    }
+
+    /**
+     * Save the entered initials and show the table with the new score
+     */
+    submitInitials() {
+        if (!this.initialsEntry) return;
+
+        this.lastHighScoreRank = this.highScores.add(this.initialsEntry.toEntry());
+        this.initialsEntry = null;
+        this.startAttractMode(true);
+    }
+
+    /**
+     * Set the demo games played in attract mode
+     * @param {Array<Object>} replays - Parsed replay files
+     */
+    setDemos(replays) {
+        this.demos = replays;
+        this.demoIndex = 0;
+    }
+
+    /**
+     * Set the level definitions used by every game from now on
+     * @param {LevelSet} levels - From levels.js
+     */
+    setLevels(levels) {
+        this.game.setLevels(levels);
+    }
+
+    /**
+     * Start actual gameplay
+     */
+    startGame() {
+        this.startLevel(1);
+    }
+
+    /**
+     * Start a new game at a given level (levels past 1 are mainly for testing)
+     * @param {number} levelNum - Level to start
+     * @param {number|null} seed - Game seed (null = fixed seed or a fresh one)
+     * @param {number} speedFactor - Game speed (default: this.speedFactor)
+     */
+    startLevel(levelNum, seed = null, speedFactor = this.speedFactor) {
+        this.finishRecording();
+        this.playback = null;
+
+        this.state = GameState.PLAYING;
+        this.paused = false;
+        this.input = createInput();
+        this.game.isGameOver = false;
+        this.game.isDemo = false;
+        this.finalResult = null;
+        this.initialsEntry = null;
+
+        // New game always starts from a fresh player so replays line up
+        this.setGameSpeed(speedFactor);
+        this.player.reset();
+        this.chooseSeed(seed);
+        this.game.startLevel(levelNum);
+
+        this.recorder = new ReplayRecorder(this.game.seed, levelNum, speedFactor);
+    }
+
+    /**
+     * Pick the seed for a new game - explicit, else the fixed seed, else fresh
+     */
+    chooseSeed(seed = null) {
+        this.game.seed = seed ?? this.fixedSeed ?? randomSeed();
+    }
+
+    /**
+     * Watch a recorded game - its input replaces live input until it runs out
+     * @param {Object} replay - Parsed replay file (see replay.js)
+     */
+    startReplay(replay) {
+        const playback = new ReplayPlayer(replay);
+        this.startLevel(replay.level, replay.seed, getReplaySpeedFactor(replay));
+        this.recorder = null;
+        this.playback = playback;
+    }
+
+    /**
+     * Set up a replay's level and input without changing state (for attract demos)
+     */
+    beginPlayback(replay) {
+        const playback = new ReplayPlayer(replay);
+        this.input = createInput();
+        this.setGameSpeed(getReplaySpeedFactor(replay));
+        this.player.reset();
+        this.chooseSeed(replay.seed);
+        this.game.startLevel(replay.level);
+        this.playback = playback;
+    }
+
+    /**
+     * Speed the player and the objects made from now on move at
+     */
+    setGameSpeed(speedFactor) {
+        this.player.speedFactor = speedFactor;
+        this.game.speedFactor = speedFactor;
+    }
+
+    /**
+     * True once a replay being watched has used up its recorded input
+     */
+    isReplayFinished() {
+        return this.playback !== null && this.playback.isFinished();
+    }
+
+    /**
+     * Stop recording the current game and keep it as lastReplay
+     */
+    finishRecording() {
+        if (!this.recorder) return;
+
+        this.lastReplay = this.recorder.finish(this.getResult());
+        this.recorder = null;
+    }
+
+    /**
+     * Replay file for the game in progress (or the last one if none is running)
+     */
+    getReplay() {
+        return this.recorder ? this.recorder.finish(this.getResult()) : this.lastReplay;
+    }
+
+    /**
+     * Outcome of the current game, stored in replays for verification
+     */
+    getResult() {
+        return {
+            score: this.player.score,
+            energy: this.player.energy,
+            level: this.game.level,
+            isGameOver: this.game.isGameOver
+        };
+    }
+
+    /**
+     * Open the level editor on a level (gameplay stops; nothing is recorded)
+     * @param {number} levelNum - Level to edit (0 = attract mode)
+     */
+    startEditing(levelNum) {
+        this.finishRecording();
+        this.playback = null;
+
+        this.state = GameState.EDITING;
+        this.paused = false;
+        this.input = createInput();
+        this.game.isGameOver = false;
+        this.game.isDemo = false;
+
+        this.editor = new LevelEditor(this, levelNum);
+    }
+
+    /**
+     * Leave the level editor, keeping its edits in the level set for this session
+     */
+    stopEditing() {
+        if (!this.editor) return;
+
+        this.game.levels.set(this.editor.levelNum, this.editor.toLevel());
+        this.editor = null;
+        this.startAttractMode();
+    }
+
+    /**
+     * Restart game (from original Player.c 'R' key handler)
+     * Resets score, energy, velocity and starts level 1
+     */
+    restartGame() {
+        // From original Game.c lines 220-225:
+        // var(score) = 0;
+        // var(energy) = kMaxEnergy;
+        // objVar(thePlayer, zVel) = 0;
+        // (method(StartLevel), 1);
+        // (startLevel resets the player)
+        this.startLevel(1);
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+    }
+
+    /**
+     * Copy the current input frame onto the player
+     */
+    applyInput() {
+        const input = this.input;
+        const player = this.player;
+
+        if (this.playback) {
+            Object.assign(input, this.playback.next());
+        }
+
+        // Aim is quantized to whole tunnel units so replays store small integers
+        if (input.aimX !== null && input.aimY !== null) {
+            input.aimX = Math.round(input.aimX);
+            input.aimY = Math.round(input.aimY);
+        }
+
+        if (this.recorder) {
+            this.recorder.record(input);
+        }
+
+        if (input.aimX !== null && input.aimY !== null) {
+            player.setAim(input.aimX, input.aimY);
+        }
+        player.moveForward = input.forward;
+        player.moveBackward = input.backward;
+        if (input.fire) {
+            player.fire();
+        }
+        // Spawned here rather than when the key is pressed, so the swarm is
+        // recorded and lands on the same tick (with the same random numbers) in replays
+        if (input.swarm) {
+            this.game.addAphidSwarm(SWARM_CHEAT_SIZE);
+        }
+
+        // Fire and swarm are one-shot requests
+        input.fire = false;
+        input.swarm = false;
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     * @param {number} dt - Tick length in ms (from SimClock)
+     */
+    tick(dt = TICK_MS) {
+        // Update game state based on Game class state
+        if (this.game.isGameOver && this.state !== GameState.GAME_OVER && !this.game.isDemo) {
+            this.state = GameState.GAME_OVER;
+            this.finishRecording();
+            // Watched replays don't go on the high score table
+            this.finalResult = this.playback ? null : { score: this.player.score, level: this.game.level };
+        }
+        if (this.game.isAttractMode() && this.state === GameState.GAME_OVER) {
+            // Game over timer expired - initials entry or attract mode (next demo, if any)
+            this.endGameOver();
+        }
+
+        // Update logic depends on state
+        switch (this.state) {
+            case GameState.ATTRACT:
+                this.attractTime += dt;
+
+                // High score table shown long enough, or aphid level shown long enough - rotate
+                if (this.showingHighScores ? this.attractTime >= HIGH_SCORE_SCREEN_TIME
+                                           : !this.playback && this.attractTime >= ATTRACT_LEVEL_TIME &&
+                                             this.hasHighScores()) {
+                    this.startAttractMode();
+                    break;
+                }
+
+                if (this.playback) {
+                    // Recorded demo: real gameplay driven by the demo's input
+                    this.updateGameplay(dt);
+
+                    // Demo over (ran out, or the demo player died) - next demo
+                    if (this.playback.isFinished() || this.game.isGameOver) {
+                        this.startAttractMode();
+                    }
+                } else {
+                    // In attract mode: player moves forward at constant speed
+                    // (from original Player.c GetDemoInput)
+                    this.player.updateAttractMode(dt);
+                    this.tunnel.processObjects(dt);
+                    this.game.update(dt);
+                }
+                break;
+
+            case GameState.PLAYING:
+                if (!this.paused) {
+                    this.updateGameplay(dt);
+                } else {
+                    // Nothing moves - render where everything is
+                    this.player.savePrevious();
+                    this.tunnel.holdObjects();
+                }
+                break;
+
+            case GameState.GAME_OVER:
+                // Objects keep moving during game over (the player doesn't)
+                this.player.savePrevious();
+                this.tunnel.processObjects(dt);
+                this.game.update(dt);
+                break;
+
+            case GameState.ENTER_INITIALS:
+                // Attract level drifts behind the entry screen
+                this.player.savePrevious();
+                this.tunnel.processObjects(dt);
+                this.game.update(dt);
+                this.initialsEntry.elapsed += dt;
+                if (this.initialsEntry.elapsed >= INITIALS_TIMEOUT) {
+                    this.submitInitials();
+                }
+                break;
+
+            case GameState.EDITING:
+                this.editor.update(dt);
+                break;
+        }
+
+        this.tickCount++;
+    }
+
+    /**
+     * One tick of live gameplay: input, player, objects, collisions, rules
+     */
+    updateGameplay(dt) {
+        this.applyInput();
+        this.player.update(dt);
+        this.tunnel.processObjects(dt);
+        this.tunnel.checkCollisions();
+        this.game.update(dt);
+    }
+
+    /**
+     * Run several ticks with scripted input
+     * @param {number} ticks - Number of ticks to run
+     * @param {Object|Function} input - Input frame fields to apply every tick,
+     *     or a function (tickIndex, simulation) returning them
+     */
+    step(ticks, input = {}) {
+        for (let i = 0; i < ticks; i++) {
+            const frame = typeof input === 'function' ? input(i, this) : input;
+            Object.assign(this.input, frame);
+            this.tick(TICK_MS);
+        }
+    }
+
+    /**
+     * Plain-data summary of the simulation (for tests and balance scripts)
+     */
+    getSnapshot() {
+        const describe = (obj) => ({
+            type: obj.constructor.name,
+            x: obj.x,
+            y: obj.y,
+            z: obj.z,
+            vx: obj.vx,
+            vy: obj.vy,
+            vz: obj.vz,
+            isForming: obj.isForming,
+            isExploding: obj.isExploding
+        });
+
+        return {
+            tick: this.tickCount,
+            seed: this.game.seed,
+            state: this.state,
+            level: this.game.level,
+            score: this.player.score,
+            energy: this.player.energy,
+            numLiveObjs: this.game.numLiveObjs,
+            isGameOver: this.game.isGameOver,
+            player: { x: this.player.x, y: this.player.y, z: this.player.z, vz: this.player.vz },
+            objects: this.tunnel.objects.map(describe),
+            shots: this.player.shots.map(describe)
+        };
+    }
+}
@@ -0,0 +1,704 @@
+/*
+ * ZGraf Web - Stereo Output Modes
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+import { getDefaultStorage, readJson, writeJson } from './storage.js';
+
+// The renderer draws every frame twice, once per eye, into full-size eye
+// canvases (3D view, HUD and overlays alike). An output mode decides how
+// those two images reach the screen, and what colors the eyes are drawn in:
+// anaglyph needs each eye in its lens color, the others show both in white.
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Matrix anaglyph: each output pixel is A × (lens A eye's pixel) + B × (lens B
+// eye's pixel), with A and B 3×3 matrices applied to [r, g, b] (row-major).
+// Lens A is the red, green or amber one - the right eye canvas here, which is
+// what the original anaglyph puts in the red channel. Matrices are applied to
+// sRGB values directly rather than linear light, which is close enough.
+const GRAY = [0.299, 0.587, 0.114];
+const ZERO = [0, 0, 0];
+
+export const ANAGLYPH_GLASSES = {
+    redCyan: {
+        label: 'Red/cyan',
+        methods: {
+            // Dubois 2001, least-squares fit for typical red/cyan gels
+            dubois: {
+                a: [0.456, 0.500, 0.176, -0.040, -0.038, -0.016, -0.015, -0.021, -0.005],
+                b: [-0.043, -0.088, -0.002, 0.378, 0.734, -0.018, -0.072, -0.113, 1.226]
+            },
+            halfColor: { a: [...GRAY, ...ZERO, ...ZERO], b: [...ZERO, 0, 1, 0, 0, 0, 1] },
+            // Red from green and blue only - less rivalry on red objects
+            optimized: { a: [0, 0.7, 0.3, ...ZERO, ...ZERO], b: [...ZERO, 0, 1, 0, 0, 0, 1] },
+            gray: { a: [...GRAY, ...ZERO, ...ZERO], b: [...ZERO, ...GRAY, ...GRAY] }
+        }
+    },
+    greenMagenta: {
+        label: 'Green/magenta',
+        methods: {
+            dubois: {
+                a: [-0.062, -0.158, -0.039, 0.284, 0.668, 0.143, -0.015, -0.027, 0.021],
+                b: [0.529, 0.705, 0.024, -0.016, -0.015, -0.065, 0.009, 0.075, 0.937]
+            },
+            halfColor: { a: [...ZERO, ...GRAY, ...ZERO], b: [1, 0, 0, ...ZERO, 0, 0, 1] },
+            gray: { a: [...ZERO, ...GRAY, ...ZERO], b: [...GRAY, ...ZERO, ...GRAY] }
+        }
+    },
+    amberBlue: {
+        label: 'Amber/blue',
+        methods: {
+            // Dubois' fit for ColorCode 3-D glasses
+            dubois: {
+                a: [1.062, -0.205, 0.299, -0.026, 0.908, 0.068, -0.038, -0.173, 0.022],
+                b: [-0.016, -0.123, -0.017, 0.006, 0.062, -0.017, 0.094, 0.185, 0.911]
+            },
+            halfColor: { a: [1, 0, 0, 0, 1, 0, ...ZERO], b: [...ZERO, ...ZERO, ...GRAY] },
+            gray: { a: [...GRAY, ...GRAY, ...ZERO], b: [...ZERO, ...ZERO, ...GRAY] }
+        }
+    }
+};
+
+export const ANAGLYPH_METHOD_LABELS = {
+    dubois: 'Dubois',
+    halfColor: 'half color',
+    optimized: 'optimized',
+    gray: 'gray'
+};
+
+const ANAGLYPH_STORAGE_KEY = 'manic-episode-anaglyph';
+const MAX_GHOSTING = 0.5;
+
+function rgb({ r, g, b }) {
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+// Anaglyphs are composited with canvas compositing operations, which the
+// browser runs on the GPU, rather than a JavaScript loop over getImageData
+// pixels. The operations work channel by channel on opaque canvases:
+// 'multiply' by a fill color scales each channel (by up to 1), 'lighter'
+// adds (saturating at white) and 'difference' with white inverts. Mixing one
+// channel into another takes an SVG color matrix filter drawn through
+// ctx.filter. The per-pixel loops are kept for browsers without canvas
+// filters and for the benchmark (F9).
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Color matrix filters made so far: feColorMatrix values -> element id.
+// A filter is never changed once made (browsers may keep the old one for
+// an unchanged ctx.filter string), so each matrix gets its own.
+const colorMatrixFilters = new Map();
+let filterSvg = null;
+
+/**
+ * Invert a canvas (255 - value, each channel)
+ */
+function invert(ctx) {
+    const { width, height } = ctx.canvas;
+    ctx.globalCompositeOperation = 'difference';
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+/**
+ * Add source × [r, g, b] coefficients to ctx, channel by channel
+ * Coefficients over 1 take extra passes; negative ones count as 0
+ * @param {HTMLCanvasElement} scratch - Same-size canvas for tinting the source
+ */
+function addScaled(ctx, source, coeffs, scratch) {
+    const scratchCtx = scratch.getContext('2d');
+    const passes = Math.ceil(Math.max(0, ...coeffs));
+
+    for (let pass = 0; pass < passes; pass++) {
+        const [r, g, b] = coeffs.map((c) => Math.round(Math.max(0, Math.min(1, c - pass)) * 255));
+
+        scratchCtx.globalCompositeOperation = 'copy';
+        scratchCtx.drawImage(source, 0, 0);
+        if (r < 255 || g < 255 || b < 255) {
+            scratchCtx.globalCompositeOperation = 'multiply';
+            scratchCtx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            scratchCtx.fillRect(0, 0, scratch.width, scratch.height);
+        }
+        scratchCtx.globalCompositeOperation = 'source-over';
+
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.drawImage(scratch, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+}
+
+/**
+ * Subtract source × coefficients from ctx, clamping at black:
+ * max(0, x - y) = 255 - min(255, (255 - x) + y)
+ */
+function subtractScaled(ctx, source, coeffs, scratch) {
+    if (coeffs.every((c) => c <= 0)) return;
+
+    invert(ctx);
+    addScaled(ctx, source, coeffs, scratch);
+    invert(ctx);
+}
+
+/**
+ * ctx.filter value that applies a 3×3 matrix (row-major) to each pixel's
+ * [r, g, b], clamping the results to 0..1
+ */
+function colorMatrixFilter(matrix) {
+    const [m0, m1, m2, m3, m4, m5, m6, m7, m8] = matrix;
+    const values = [m0, m1, m2, 0, 0, m3, m4, m5, 0, 0, m6, m7, m8, 0, 0, 0, 0, 0, 1, 0].join(' ');
+
+    let id = colorMatrixFilters.get(values);
+    if (!id) {
+        if (!filterSvg) {
+            // Not display: none - some browsers don't apply filters from a hidden SVG
+            filterSvg = document.createElementNS(SVG_NS, 'svg');
+            filterSvg.setAttribute('width', '0');
+            filterSvg.setAttribute('height', '0');
+            filterSvg.setAttribute('aria-hidden', 'true');
+            filterSvg.style.position = 'absolute';
+            document.body.appendChild(filterSvg);
+        }
+        id = `anaglyph-matrix-${colorMatrixFilters.size}`;
+
+        const filter = document.createElementNS(SVG_NS, 'filter');
+        filter.id = id;
+        // The anaglyph matrices are for sRGB values, not the filter default of linear light
+        filter.setAttribute('color-interpolation-filters', 'sRGB');
+        const colorMatrix = document.createElementNS(SVG_NS, 'feColorMatrix');
+        colorMatrix.setAttribute('type', 'matrix');
+        colorMatrix.setAttribute('values', values);
+        filter.appendChild(colorMatrix);
+        filterSvg.appendChild(filter);
+
+        colorMatrixFilters.set(values, id);
+    }
+    return `url(#${id})`;
+}
+
+/**
+ * Add source × a 3×3 matrix to ctx (entries 0 to 1; rows that sum past 1
+ * saturate)
+ */
+function addMatrix(ctx, source, matrix) {
+    if (matrix.every((v) => v === 0)) return;
+
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.filter = colorMatrixFilter(matrix);
+    ctx.drawImage(source, 0, 0);
+    ctx.filter = 'none';
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+/**
+ * Can this context draw through filters (ctx.filter)?
+ */
+function supportsFilters(ctx) {
+    return typeof ctx.filter === 'string';
+}
+
+/**
+ * Clear a canvas to black
+ */
+function clearToBlack(ctx) {
+    ctx.globalCompositeOperation = 'copy';
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+/**
+ * Base output mode: one full-size image per eye, placed by getEyeRects
+ */
+class StereoOutput {
+    /**
+     * @param {string} id - Name used in config and the URL (?stereo=id)
+     * @param {string} label - Name shown to the player
+     */
+    constructor(id, label) {
+        this.id = id;
+        this.label = label;
+        this.stereo = true;   // False = only the left eye is drawn
+        this.needsDevicePixels = false;   // True = canvas pixels must be screen pixels (no render scale)
+    }
+
+    /**
+     * Colors for everything drawn into each eye
+     * @returns {{left, right, leftValues, rightValues}} CSS colors and their {r, g, b}
+     */
+    get eyeColors() {
+        return { left: rgb(WHITE), right: rgb(WHITE), leftValues: WHITE, rightValues: WHITE };
+    }
+
+    /**
+     * Where each eye's image goes on screen
+     * @param {number} time - Display time of the frames drawn so far (ms, renderer.frameClock)
+     * @returns {Array<{canvas: string, x, y, width, height}>} canvas is 'left' or 'right'
+     */
+    getEyeRects(width, height, time = 0) {
+        return [{ canvas: 'left', x: 0, y: 0, width, height }];
+    }
+
+    /**
+     * Draw the finished eye images to the visible canvas
+     * (in canvas pixels: renderer.pixelWidth x pixelHeight)
+     */
+    composite(renderer) {
+        const { ctx, pixelWidth: width, pixelHeight: height } = renderer;
+        const rects = this.getEyeRects(width, height, renderer.frameClock);
+
+        if (rects.length > 1) {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+        }
+        for (const rect of rects) {
+            const source = rect.canvas === 'left' ? renderer.leftEyeCanvas : renderer.rightEyeCanvas;
+            ctx.drawImage(source, 0, 0, width, height, rect.x, rect.y, rect.width, rect.height);
+        }
+    }
+
+    /**
+     * Map a point on screen to eye canvas coordinates (for mouse aiming)
+     * Points outside every eye image map through the first one
+     */
+    toEyePoint(x, y, width, height) {
+        const rects = this.getEyeRects(width, height);
+        const rect = rects.find((r) => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height) ?? rects[0];
+        return {
+            x: (x - rect.x) * width / rect.width,
+            y: (y - rect.y) * height / rect.height
+        };
+    }
+}
+
+/**
+ * Left eye only, in the mono colors
+ */
+class MonoOutput extends StereoOutput {
+    constructor() {
+        super('mono', 'Mono');
+        this.stereo = false;
+    }
+}
+
+/**
+ * Red/cyan anaglyph: red channel from the right eye, green and blue from the left
+ * (the original display)
+ */
+class AnaglyphOutput extends StereoOutput {
+    constructor() {
+        super('anaglyph', 'Red/cyan anaglyph');
+    }
+
+    get eyeColors() {
+        const { leftColor, rightColor, leftColorValues, rightColorValues } = CONFIG.STEREO;
+        return { left: leftColor, right: rightColor, leftValues: leftColorValues, rightValues: rightColorValues };
+    }
+
+    /**
+     * Red channel of the right eye plus green and blue of the left
+     */
+    composite(renderer) {
+        if (renderer.compositeMethod === 'pixels') {
+            this.compositePixels(renderer);
+            return;
+        }
+
+        const { ctx } = renderer;
+        const scratch = renderer.getScratchCanvas('tint');
+        clearToBlack(ctx);
+        addScaled(ctx, renderer.rightEyeCanvas, [1, 0, 0], scratch);
+        addScaled(ctx, renderer.leftEyeCanvas, [0, 1, 1], scratch);
+    }
+
+    compositePixels(renderer) {
+        const { pixelWidth: width, pixelHeight: height, compositeCtx } = renderer;
+
+        // Get image data from both canvases
+        const leftData = renderer.leftCtx.getImageData(0, 0, width, height);
+        const rightData = renderer.rightCtx.getImageData(0, 0, width, height);
+        const outputData = compositeCtx.createImageData(width, height);
+
+        const left = leftData.data;
+        const right = rightData.data;
+        const output = outputData.data;
+
+        // Combine: take red from right eye, cyan (green+blue) from left eye
+        // (Red lens over left eye filters out red, shows cyan = left eye image)
+        // (Cyan lens over right eye filters out cyan, shows red = right eye image)
+        for (let i = 0; i < left.length; i += 4) {
+            output[i] = right[i];         // Red from right eye
+            output[i + 1] = left[i + 1];  // Green from left eye (cyan)
+            output[i + 2] = left[i + 2];  // Blue from left eye (cyan)
+            output[i + 3] = 255;          // Full alpha
+        }
+
+        compositeCtx.putImageData(outputData, 0, 0);
+        renderer.ctx.drawImage(renderer.compositeCanvas, 0, 0);
+    }
+}
+
+/**
+ * Anaglyph by color matrix (see ANAGLYPH_GLASSES), for red/cyan, green/magenta
+ * or amber/blue glasses. The eyes are drawn in white (or the mono HUD colors)
+ * and the matrices decide what each lens passes. Ghosting cancellation
+ * subtracts a fraction of the other eye's image from each eye before mixing,
+ * to make up for lenses that leak; the calibration screen sets it.
+ */
+class MatrixAnaglyphOutput extends StereoOutput {
+    /**
+     * @param {Object} storage - Where the settings are kept (default: localStorage, or memory under Node)
+     */
+    constructor(storage = getDefaultStorage()) {
+        super('matrix', 'Matrix anaglyph');
+        this.storage = storage;
+        this.settings = null;
+        this.load();
+    }
+
+    /**
+     * Settings from storage, falling back to CONFIG.STEREO.anaglyph for anything missing or invalid
+     */
+    load() {
+        const defaults = CONFIG.STEREO.anaglyph;
+        const saved = readJson(this.storage, ANAGLYPH_STORAGE_KEY, {}) ?? {};
+        const ghosting = saved.ghosting ?? {};
+        const validGhosting = (v) => typeof v === 'number' && v >= 0 && v <= MAX_GHOSTING;
+
+        const glasses = Object.hasOwn(ANAGLYPH_GLASSES, saved.glasses) ? saved.glasses : defaults.glasses;
+        this.settings = {
+            glasses,
+            method: Object.hasOwn(ANAGLYPH_GLASSES[glasses].methods, saved.method) ? saved.method : defaults.method,
+            eyeColors: saved.eyeColors === 'color' || saved.eyeColors === 'gray' ? saved.eyeColors : defaults.eyeColors,
+            ghosting: {
+                left: validGhosting(ghosting.left) ? ghosting.left : defaults.ghosting.left,
+                right: validGhosting(ghosting.right) ? ghosting.right : defaults.ghosting.right
+            }
+        };
+        if (!Object.hasOwn(ANAGLYPH_GLASSES[glasses].methods, this.settings.method)) {
+            this.settings.method = 'dubois';
+        }
+        this.updateLabel();
+    }
+
+    /**
+     * Save the settings and update the label to match
+     */
+    save() {
+        writeJson(this.storage, ANAGLYPH_STORAGE_KEY, this.settings);
+        this.updateLabel();
+    }
+
+    updateLabel() {
+        const { glasses, method } = this.settings;
+        this.label = `${ANAGLYPH_GLASSES[glasses].label} anaglyph (${ANAGLYPH_METHOD_LABELS[method]})`;
+    }
+
+    /**
+     * Gray draws the eyes in white; color keeps the HUD's own color
+     */
+    get eyeColors() {
+        if (this.settings.eyeColors === 'color') {
+            const text = CONFIG.RADAR.textColor;
+            return { left: text, right: text, leftValues: WHITE, rightValues: WHITE };
+        }
+        return super.eyeColors;
+    }
+
+    /**
+     * Next glasses type (keeping the method if the new glasses have it)
+     */
+    cycleGlasses() {
+        const types = Object.keys(ANAGLYPH_GLASSES);
+        const glasses = types[(types.indexOf(this.settings.glasses) + 1) % types.length];
+        this.settings.glasses = glasses;
+        if (!Object.hasOwn(ANAGLYPH_GLASSES[glasses].methods, this.settings.method)) {
+            this.settings.method = 'dubois';
+        }
+        this.save();
+    }
+
+    cycleMethod() {
+        const methods = Object.keys(ANAGLYPH_GLASSES[this.settings.glasses].methods);
+        this.settings.method = methods[(methods.indexOf(this.settings.method) + 1) % methods.length];
+        this.save();
+    }
+
+    toggleEyeColors() {
+        this.settings.eyeColors = this.settings.eyeColors === 'color' ? 'gray' : 'color';
+        this.save();
+    }
+
+    /**
+     * Change how much of the other eye's image is cancelled from one eye
+     * @param {string} eye - 'left' or 'right'
+     * @param {number} delta - Change in fraction of the other image (e.g. 0.01)
+     */
+    adjustGhosting(eye, delta) {
+        const ghosting = this.settings.ghosting;
+        ghosting[eye] = Math.round(Math.max(0, Math.min(MAX_GHOSTING, ghosting[eye] + delta)) * 100) / 100;
+        this.save();
+    }
+
+    /**
+     * With gray eyes every pixel has r = g = b, so a matrix comes down to
+     * scaling each channel by its row sum - which compositing operations can
+     * do. Color eyes need real channel mixing, done with color matrix
+     * filters (or per pixel where the browser has no canvas filters).
+     */
+    composite(renderer) {
+        const { ctx } = renderer;
+        const colorEyes = this.settings.eyeColors === 'color';
+        if (renderer.compositeMethod === 'pixels' || (colorEyes && !supportsFilters(ctx))) {
+            this.compositePixels(renderer);
+            return;
+        }
+
+        const { a, b } = ANAGLYPH_GLASSES[this.settings.glasses].methods[this.settings.method];
+        const { left: ghostLeft, right: ghostRight } = this.settings.ghosting;
+        const tint = renderer.getScratchCanvas('tint');
+
+        // Lens A sees the right eye canvas, lens B the left
+        let lensA = renderer.rightEyeCanvas;
+        let lensB = renderer.leftEyeCanvas;
+
+        // Ghosting cancellation, each eye from the other's original image
+        if (ghostRight > 0 || ghostLeft > 0) {
+            const ghostA = renderer.getScratchCanvas('ghostA');
+            const ghostB = renderer.getScratchCanvas('ghostB');
+            for (const [target, own, other, amount] of [[ghostA, lensA, lensB, ghostRight],
+                                                        [ghostB, lensB, lensA, ghostLeft]]) {
+                const targetCtx = target.getContext('2d');
+                targetCtx.globalCompositeOperation = 'copy';
+                targetCtx.drawImage(own, 0, 0);
+                targetCtx.globalCompositeOperation = 'source-over';
+                subtractScaled(targetCtx, other, [amount, amount, amount], tint);
+            }
+            lensA = ghostA;
+            lensB = ghostB;
+        }
+
+        const positive = (v) => Math.max(0, v);
+        const negative = (v) => Math.max(0, -v);
+        const rowSums = (m, part = (v) => v) => [0, 3, 6].map((i) => part(m[i]) + part(m[i + 1]) + part(m[i + 2]));
+
+        // Gray eyes scale each lens's channels by the row sums; color eyes
+        // put each lens through its matrix, positive and negative entries
+        // apart. Work at 1/scale brightness so the positive terms can't
+        // saturate before the negative ones come off, then add the result to
+        // itself back up to full brightness (costs a bit or two of precision)
+        const headroom = colorEyes
+            ? rowSums(a, positive).map((v, i) => v + rowSums(b, positive)[i])
+            : rowSums(a).map((v, i) => positive(v) + positive(rowSums(b)[i]));
+        const scale = Math.max(1, Math.ceil(Math.max(...headroom)));
+        const addLens = (lens, m, part) => {
+            if (colorEyes) {
+                addMatrix(ctx, lens, m.map((v) => part(v) / scale));
+            } else {
+                addScaled(ctx, lens, rowSums(m).map((v) => part(v) / scale), tint);
+            }
+        };
+        const hasNegative = colorEyes ? [...a, ...b].some((v) => v < 0)
+                                      : [...rowSums(a), ...rowSums(b)].some((v) => v < 0);
+
+        // Positive terms, then the negative ones taken off (clamped at black)
+        clearToBlack(ctx);
+        addLens(lensA, a, positive);
+        addLens(lensB, b, positive);
+        if (hasNegative) {
+            invert(ctx);
+            addLens(lensA, a, negative);
+            addLens(lensB, b, negative);
+            invert(ctx);
+        }
+
+        if (scale > 1) {
+            const tintCtx = tint.getContext('2d');
+            tintCtx.globalCompositeOperation = 'copy';
+            tintCtx.drawImage(ctx.canvas, 0, 0);
+            tintCtx.globalCompositeOperation = 'source-over';
+            ctx.globalCompositeOperation = 'lighter';
+            for (let i = 1; i < scale; i++) {
+                ctx.drawImage(tint, 0, 0);
+            }
+            ctx.globalCompositeOperation = 'source-over';
+        }
+    }
+
+    compositePixels(renderer) {
+        const { pixelWidth: width, pixelHeight: height, compositeCtx } = renderer;
+        const { a, b } = ANAGLYPH_GLASSES[this.settings.glasses].methods[this.settings.method];
+        const { left: ghostLeft, right: ghostRight } = this.settings.ghosting;
+
+        // Lens A sees the right eye canvas, lens B the left
+        const lensA = renderer.rightCtx.getImageData(0, 0, width, height).data;
+        const lensB = renderer.leftCtx.getImageData(0, 0, width, height).data;
+        const outputData = compositeCtx.createImageData(width, height);
+        const output = outputData.data;
+
+        for (let i = 0; i < output.length; i += 4) {
+            let ar = lensA[i], ag = lensA[i + 1], ab = lensA[i + 2];
+            let br = lensB[i], bg = lensB[i + 1], bb = lensB[i + 2];
+
+            if (ghostRight > 0 || ghostLeft > 0) {
+                [ar, ag, ab, br, bg, bb] = [
+                    Math.max(0, ar - ghostRight * br), Math.max(0, ag - ghostRight * bg), Math.max(0, ab - ghostRight * bb),
+                    Math.max(0, br - ghostLeft * ar), Math.max(0, bg - ghostLeft * ag), Math.max(0, bb - ghostLeft * ab)
+                ];
+            }
+
+            // Clamped by the Uint8ClampedArray
+            output[i] = a[0] * ar + a[1] * ag + a[2] * ab + b[0] * br + b[1] * bg + b[2] * bb;
+            output[i + 1] = a[3] * ar + a[4] * ag + a[5] * ab + b[3] * br + b[4] * bg + b[5] * bb;
+            output[i + 2] = a[6] * ar + a[7] * ag + a[8] * ab + b[6] * br + b[7] * bg + b[8] * bb;
+            output[i + 3] = 255;
+        }
+
+        compositeCtx.putImageData(outputData, 0, 0);
+        renderer.ctx.drawImage(renderer.compositeCanvas, 0, 0);
+    }
+}
+
+/**
+ * Eyes next to each other at half size, aspect kept (free viewing or a stereoscope)
+ * Parallel puts the left eye on the left; cross-eyed swaps them
+ */
+class SideBySideOutput extends StereoOutput {
+    constructor(crossed) {
+        super(crossed ? 'crossEyed' : 'parallel',
+              crossed ? 'Side by side (cross-eyed)' : 'Side by side (parallel)');
+        this.crossed = crossed;
+    }
+
+    getEyeRects(width, height) {
+        const w = width / 2;
+        const h = height / 2;
+        const y = (height - h) / 2;
+        const [first, second] = this.crossed ? ['right', 'left'] : ['left', 'right'];
+        return [
+            { canvas: first, x: 0, y, width: w, height: h },
+            { canvas: second, x: w, y, width: w, height: h }
+        ];
+    }
+}
+
+/**
+ * Left eye above the right at half size, aspect kept (over/under viewers)
+ */
+class OverUnderOutput extends StereoOutput {
+    constructor() {
+        super('overUnder', 'Over/under');
+    }
+
+    getEyeRects(width, height) {
+        const w = width / 2;
+        const h = height / 2;
+        const x = (width - w) / 2;
+        return [
+            { canvas: 'left', x, y: 0, width: w, height: h },
+            { canvas: 'right', x, y: h, width: w, height: h }
+        ];
+    }
+}
+
+/**
+ * Alternate rows from each eye, for passive (polarized) 3D monitors
+ * CONFIG.STEREO.interlaceLeftFirst says which eye gets the top row
+ */
+class InterlacedOutput extends StereoOutput {
+    constructor() {
+        super('interlaced', 'Row interlaced');
+        this.needsDevicePixels = true;   // Rows must line up with the monitor's
+        this.mask = null;     // Canvas with the second eye's rows opaque
+        this.masked = null;   // Second eye, cut down to its rows
+    }
+
+    composite(renderer) {
+        const { ctx, pixelWidth: width, pixelHeight: height } = renderer;
+        const leftFirst = CONFIG.STEREO.interlaceLeftFirst;
+        const [first, second] = leftFirst
+            ? [renderer.leftEyeCanvas, renderer.rightEyeCanvas]
+            : [renderer.rightEyeCanvas, renderer.leftEyeCanvas];
+
+        if (!this.mask || this.mask.width !== width || this.mask.height !== height) {
+            this.buildMask(width, height);
+        }
+
+        // Second eye through the row mask, over the first eye
+        const maskedCtx = this.masked.getContext('2d');
+        maskedCtx.globalCompositeOperation = 'copy';
+        maskedCtx.drawImage(second, 0, 0);
+        maskedCtx.globalCompositeOperation = 'destination-in';
+        maskedCtx.drawImage(this.mask, 0, 0);
+        maskedCtx.globalCompositeOperation = 'source-over';
+
+        ctx.drawImage(first, 0, 0);
+        ctx.drawImage(this.masked, 0, 0);
+    }
+
+    buildMask(width, height) {
+        this.mask = document.createElement('canvas');
+        this.mask.width = width;
+        this.mask.height = height;
+        const maskCtx = this.mask.getContext('2d');
+        maskCtx.fillStyle = '#fff';
+        for (let y = 1; y < height; y += 2) {
+            maskCtx.fillRect(0, y, width, 1);
+        }
+
+        this.masked = document.createElement('canvas');
+        this.masked.width = width;
+        this.masked.height = height;
+    }
+}
+
+/**
+ * Show the eyes in turn (wiggle stereo - depth from motion, no glasses)
+ * CONFIG.STEREO.wiggleInterval is how long each eye stays up
+ */
+class WiggleOutput extends StereoOutput {
+    constructor() {
+        super('wiggle', 'Wiggle');
+    }
+
+    getEyeRects(width, height, time = 0) {
+        // Frame time rather than the wall clock, so recordings (which run at
+        // a fixed frame rate however long each frame takes) wiggle evenly
+        const eye = Math.floor(time / CONFIG.STEREO.wiggleInterval) % 2 === 0 ? 'left' : 'right';
+        return [{ canvas: eye, x: 0, y: 0, width, height }];
+    }
+}
+
+// Every output mode, in the order F3 cycles through them
+export const STEREO_OUTPUTS = [
+    new AnaglyphOutput(),
+    new MatrixAnaglyphOutput(),
+    new SideBySideOutput(false),
+    new SideBySideOutput(true),
+    new OverUnderOutput(),
+    new InterlacedOutput(),
+    new WiggleOutput(),
+    new MonoOutput()
+];
+
+/**
+ * Look up an output mode by id
+ */
+export function getStereoOutput(id) {
+    const output = STEREO_OUTPUTS.find((o) => o.id === id);
+    if (!output) {
+        throw new Error(`Unknown stereo output "${id}" (expected one of ${STEREO_OUTPUTS.map((o) => o.id).join(', ')})`);
+    }
+    return output;
+}
+
+/**
+ * The mode after this one, for cycling with a key
+ */
+export function nextStereoOutput(output) {
+    return STEREO_OUTPUTS[(STEREO_OUTPUTS.indexOf(output) + 1) % STEREO_OUTPUTS.length];
+}
@@ -0,0 +1,76 @@
+/*
+ * ZGraf Web - Persistent Storage
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Anything saved between sessions (high scores, settings) goes through a
+// storage object with the Web Storage interface - getItem/setItem/removeItem.
+// In the browser that's localStorage; under Node, or when localStorage is
+// blocked (private browsing, file:// URLs), it's an in-memory stand-in.
+
+/**
+ * In-memory storage with the Web Storage interface
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+let defaultStorage = null;
+
+/**
+ * localStorage if it's usable, otherwise a shared MemoryStorage
+ */
+export function getDefaultStorage() {
+    if (defaultStorage) return defaultStorage;
+
+    try {
+        const storage = globalThis.localStorage;
+        const probe = '__zgraf_probe__';
+        storage.setItem(probe, probe);
+        storage.removeItem(probe);
+        defaultStorage = storage;
+    } catch (e) {
+        defaultStorage = new MemoryStorage();
+    }
+    return defaultStorage;
+}
+
+/**
+ * Read a JSON value, or the fallback if it's missing or unreadable
+ */
+export function readJson(storage, key, fallback = null) {
+    try {
+        const text = storage.getItem(key);
+        return text === null ? fallback : JSON.parse(text);
+    } catch (e) {
+        console.warn(`Ignoring unreadable saved data "${key}":`, e);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value (failures - e.g. storage full - are logged, not thrown)
+ */
+export function writeJson(storage, key, value) {
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save "${key}":`, e);
+    }
+}
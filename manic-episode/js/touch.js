@@ -0,0 +1,133 @@
+/*
+ * ZGraf Web - Touch Controls
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { CONFIG } from './config.js';
+
+// Touch screens report to the InputManager (input.js) like any other
+// device. A finger on an on-screen button holds that button's action until
+// it's lifted; a finger anywhere else drags the aim (relative, like a
+// trackpad, so the finger doesn't cover the player's view), and a quick tap
+// fires - which also starts a game and unpauses. Every finger is its own
+// source, so one can steer while others thrust and fire.
+//
+// The game decides which buttons are on screen (see buttons); their layout
+// comes from Renderer.getTouchControlsLayout, in eye canvas coordinates.
+
+export class TouchInput {
+    /**
+     * @param {HTMLCanvasElement} canvas - Visible canvas the touches land on
+     * @param {InputManager} input - Where actions go
+     * @param {Renderer} renderer - Maps touches to eye coordinates
+     */
+    constructor(canvas, input, renderer) {
+        this.canvas = canvas;
+        this.input = input;
+        this.renderer = renderer;
+
+        // Set once the screen has been touched (or by ?touch); the buttons are only drawn after that
+        this.active = false;
+
+        // Buttons on screen now ({action, x, y, radius}), set by the game each frame
+        this.buttons = [];
+
+        // Fingers down that aren't on a button: identifier -> {x, y, startX, startY, startTime}
+        this.touches = new Map();
+        this.aimTouch = null;      // Identifier of the finger steering the aim
+
+        // Not passive, so the page doesn't scroll or zoom and no mouse events are made up
+        const options = { passive: false };
+        canvas.addEventListener('touchstart', (e) => this.handleStart(e), options);
+        canvas.addEventListener('touchmove', (e) => this.handleMove(e), options);
+        canvas.addEventListener('touchend', (e) => this.handleEnd(e), options);
+        canvas.addEventListener('touchcancel', (e) => this.handleEnd(e, true), options);
+    }
+
+    /**
+     * Touch position in eye canvas coordinates
+     */
+    toEyePoint(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.renderer.toEyePoint(touch.clientX - rect.left, touch.clientY - rect.top);
+    }
+
+    getSource(touch) {
+        return `touch${touch.identifier}`;
+    }
+
+    buttonAt(point) {
+        return this.buttons.find((b) => Math.hypot(point.x - b.x, point.y - b.y) <= b.radius);
+    }
+
+    handleStart(e) {
+        e.preventDefault();
+        this.active = true;
+
+        for (const touch of e.changedTouches) {
+            const point = this.toEyePoint(touch);
+            const button = this.buttonAt(point);
+            if (button) {
+                this.input.press(button.action, this.getSource(touch));
+                continue;
+            }
+
+            this.touches.set(touch.identifier, {
+                x: point.x, y: point.y, startX: point.x, startY: point.y, startTime: e.timeStamp
+            });
+            if (this.aimTouch === null) {
+                this.aimTouch = touch.identifier;
+            }
+        }
+    }
+
+    handleMove(e) {
+        e.preventDefault();
+        const { left, right, top, bottom } = CONFIG.TUNNEL;
+        const { dragSensitivity } = CONFIG.TOUCH;
+
+        // Dragging across the game view moves the aim dragSensitivity tunnel widths
+        const viewWidth = this.renderer.getGameViewWidth();
+        const scaleX = dragSensitivity * (right - left) / viewWidth;
+        const scaleY = dragSensitivity * (bottom - top) / viewWidth;
+
+        for (const touch of e.changedTouches) {
+            const state = this.touches.get(touch.identifier);
+            if (!state) continue;
+
+            const point = this.toEyePoint(touch);
+            if (touch.identifier === this.aimTouch) {
+                this.input.moveAim((point.x - state.x) * scaleX, (point.y - state.y) * scaleY);
+            }
+            state.x = point.x;
+            state.y = point.y;
+        }
+    }
+
+    /**
+     * @param {boolean} cancelled - The browser took the touch away (no tap)
+     */
+    handleEnd(e, cancelled = false) {
+        e.preventDefault();
+        const { tapTime, tapDistance } = CONFIG.TOUCH;
+
+        for (const touch of e.changedTouches) {
+            const source = this.getSource(touch);
+            this.input.releaseSource(source);
+
+            const state = this.touches.get(touch.identifier);
+            if (!state) continue;
+            this.touches.delete(touch.identifier);
+            if (touch.identifier === this.aimTouch) {
+                this.aimTouch = null;
+            }
+
+            const moved = Math.hypot(state.x - state.startX, state.y - state.startY);
+            if (!cancelled && e.timeStamp - state.startTime < tapTime && moved < tapDistance) {
+                this.input.trigger('fire', source);
+            }
+        }
+    }
+}
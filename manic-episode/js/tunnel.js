@@ -6,7 +6,6 @@
  */
 
 import { CONFIG } from './config.js';
-import { setEyePosition } from './projection.js';
 
 export class Tunnel {
     constructor() {
@@ -37,12 +36,32 @@ export class Tunnel {
      */
     addObject(obj) {
         obj.tunnel = this;
+        this.startForming(obj);
+        // No motion to interpolate until its first tick
+        obj.savePrevious();
+        this.objects.push(obj);
+    }
+
+    /**
+     * Start an object's formation effect (collisions are off until it's formed)
+     */
+    startForming(obj) {
         obj.isForming = true;
         obj.formAccum = 0;
         // Initialize formation: pieces start scattered and fly inward
         // Original: stdFormIncr = 200, stdFormSteps = 15
         obj.initForm(200, 15);
-        this.objects.push(obj);
+    }
+
+    /**
+     * Re-form every object that isn't exploding (player respawn)
+     */
+    reformObjects() {
+        for (const obj of this.objects) {
+            if (!obj.isExploding) {
+                this.startForming(obj);
+            }
+        }
     }
 
     /**
@@ -57,9 +76,24 @@ export class Tunnel {
     }
 
     /**
-     * Process all objects (update step)
+     * Snapshot every object's position as the start of a tick; on its own,
+     * for a tick that doesn't move them (so rendering doesn't keep blending
+     * in their last move)
+     */
+    holdObjects() {
+        for (const obj of this.objects) {
+            obj.savePrevious();
+        }
+    }
+
+    /**
+     * Process all objects (one simulation tick)
+     * @param {number} dt - Tick length in ms
      */
     processObjects(dt) {
+        // Snapshot positions so rendering can interpolate into this tick
+        this.holdObjects();
+
         // Update all objects
         for (const obj of this.objects) {
             if (!obj.isProcessed) {
@@ -107,63 +141,54 @@ export class Tunnel {
 
     /**
      * Draw all objects, sorted by Z (far to near - painter's algorithm)
+     * Positions are interpolated between the last two simulation ticks
      * @param {Renderer} renderer - The renderer instance
+     * @param {Camera} camera - Viewpoint to draw from (see camera.js)
      * @param {Object} options - Optional parameters
-     * @param {number} options.crosshairsZ - Z distance for crosshairs (relative to player)
+     * @param {number} options.alpha - Interpolation alpha from SimClock (default 1 = latest tick)
+     * @param {number} options.crosshairsZ - Z distance for crosshairs (relative to the camera)
      * @param {Function} options.drawCrosshairs - Callback to draw crosshairs
      */
-    drawObjects(renderer, options = {}) {
+    drawObjects(renderer, camera, options = {}) {
         if (!this.player) return;
 
-        const playerZ = this.player.z;
-        const { crosshairsZ, drawCrosshairs } = options;
+        const { alpha = 1, crosshairsZ, drawCrosshairs } = options;
         let crosshairsDrawn = false;
 
-        // Set eye position for projection
-        setEyePosition(this.player.x, this.player.y, playerZ);
+        renderer.setCamera(camera);
 
         // Draw tunnel frames first (background)
-        renderer.drawTunnelFrames(playerZ);
+        renderer.drawTunnelFrames();
 
-        // Sort objects by distance from player (far to near)
-        const sortedObjects = [...this.objects].sort((a, b) => {
-            return b.getZFromPlayer(playerZ) - a.getZFromPlayer(playerZ);
-        });
+        // Interpolated position and wrapped distance from the camera for each object
+        const toDrawable = (obj) => {
+            const pos = obj.getRenderPosition(alpha);
+            return { obj, pos, relZ: camera.relativeZ(pos.z) };
+        };
 
-        // Draw objects from far to near (only those ahead of player)
-        for (const obj of sortedObjects) {
-            const relZ = obj.getZFromPlayer(playerZ);
+        // Sort objects by distance from the camera (far to near)
+        const sortedObjects = this.objects.map(toDrawable).sort((a, b) => b.relZ - a.relZ);
+        const shots = this.player.shots.map(toDrawable);
 
-            // Only draw objects ahead of the player (positive relZ)
-            if (relZ > CONFIG.TUNNEL.near && relZ < CONFIG.TUNNEL.far) {
+        // Draw objects from far to near (only those ahead of the camera), then player shots
+        for (const { obj, pos, relZ } of [...sortedObjects, ...shots]) {
+            if (camera.isVisibleDepth(relZ)) {
                 // Draw crosshairs when we reach objects closer than crosshairsZ
                 if (drawCrosshairs && !crosshairsDrawn && relZ < crosshairsZ) {
                     drawCrosshairs();
                     crosshairsDrawn = true;
                 }
 
-                // Temporarily adjust object Z for correct projection
-                const originalZ = obj.z;
-                obj.z = playerZ + relZ;
+                // Temporarily move object to its interpolated position
+                // (the camera takes care of wrap-around)
+                const { x, y, z } = obj;
+                obj.x = pos.x;
+                obj.y = pos.y;
+                obj.z = pos.z;
                 obj.draw(renderer);
-                obj.z = originalZ;
-            }
-        }
-
-        // Draw player shots (only ahead)
-        for (const shot of this.player.shots) {
-            const relZ = shot.getZFromPlayer(playerZ);
-            if (relZ > CONFIG.TUNNEL.near && relZ < CONFIG.TUNNEL.far) {
-                // Draw crosshairs when we reach shots closer than crosshairsZ
-                if (drawCrosshairs && !crosshairsDrawn && relZ < crosshairsZ) {
-                    drawCrosshairs();
-                    crosshairsDrawn = true;
-                }
-
-                const originalZ = shot.z;
-                shot.z = playerZ + relZ;
-                shot.draw(renderer);
-                shot.z = originalZ;
+                obj.x = x;
+                obj.y = y;
+                obj.z = z;
             }
         }
 
@@ -182,9 +207,10 @@ export class Tunnel {
         // Draw radar display
         renderer.drawRadar(this.player.x, playerZ, this.objects, this.player.shots);
 
-        // Draw status text (score, level, energy)
+        // Draw status text (score, level, energy, lives, seed)
         const level = this.game ? this.game.level : 1;
-        renderer.drawStatusText(this.player.score, level, this.player.energy);
+        const seed = this.game ? this.game.seed : null;
+        renderer.drawStatusText(this.player.score, level, this.player.energy, this.player.lives, seed);
     }
 
     /**
@@ -192,6 +218,10 @@ export class Tunnel {
      */
     clear() {
         this.objects = [];
+        // A latched grabber goes with the objects
+        if (this.player) {
+            this.player.grabber = null;
+        }
     }
 
     /**
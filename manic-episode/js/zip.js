@@ -0,0 +1,115 @@
+/*
+ * ZGraf Web - ZIP Archives
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Just enough of the ZIP format to bundle a recording's PNG frames into one
+// download: files are stored, not compressed (PNGs are compressed already),
+// and the archive is built from Blobs so the browser can keep the frames out
+// of memory. No ZIP64, so up to 65535 files and 4 GB.
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * CRC-32 of some bytes, as ZIP stores it
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Date and time in MS-DOS format, as ZIP stores them
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];      // Local headers and file data, in archive order
+        this.entries = [];    // {nameBytes, crc, size, offset} for the central directory
+        this.offset = 0;      // Bytes written so far
+        this.modified = dosDateTime(new Date());
+    }
+
+    /**
+     * Add a file (files can be added in any order, even while earlier adds are still reading)
+     * @param {string} name - Path in the archive (ASCII)
+     * @param {Blob} blob - Contents
+     */
+    async add(name, blob) {
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+        const nameBytes = new TextEncoder().encode(name);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);     // Local file header signature
+        header.setUint16(4, 20, true);             // Version needed (2.0)
+        header.setUint16(6, 0, true);              // Flags
+        header.setUint16(8, 0, true);              // Stored
+        header.setUint16(10, this.modified.time, true);
+        header.setUint16(12, this.modified.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, blob.size, true);     // Compressed size
+        header.setUint32(22, blob.size, true);     // Size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);             // Extra field length
+
+        this.entries.push({ nameBytes, crc, size: blob.size, offset: this.offset });
+        this.parts.push(header, nameBytes, blob);
+        this.offset += header.byteLength + nameBytes.length + blob.size;
+    }
+
+    /**
+     * The finished archive
+     * @returns {Blob}
+     */
+    toBlob() {
+        const directory = [];
+        let directorySize = 0;
+
+        for (const { nameBytes, crc, size, offset } of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);     // Central directory header signature
+            header.setUint16(4, 20, true);             // Version made by
+            header.setUint16(6, 20, true);             // Version needed
+            header.setUint16(8, 0, true);              // Flags
+            header.setUint16(10, 0, true);             // Stored
+            header.setUint16(12, this.modified.time, true);
+            header.setUint16(14, this.modified.date, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, size, true);
+            header.setUint32(24, size, true);
+            header.setUint16(28, nameBytes.length, true);
+            // Extra field, comment, disk number, attributes: all 0
+            header.setUint32(42, offset, true);
+
+            directory.push(header, nameBytes);
+            directorySize += header.byteLength + nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);            // End of central directory signature
+        end.setUint16(8, this.entries.length, true);   // Entries on this disk
+        end.setUint16(10, this.entries.length, true);  // Entries in all
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);          // Central directory offset
+
+        return new Blob([...this.parts, ...directory, end], { type: 'application/zip' });
+    }
+}
@@ -0,0 +1,159 @@
+/*
+ * ZGraf Web - Projection and Clipping Tests
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Edge cases for the clipping in projection.js
+//
+//   node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Camera } from '../js/camera.js';
+import {
+    clipLineToDepth, clipPolygonToDepth, clipSegment2D, clipPolygon2D, projectPolygon
+} from '../js/projection.js';
+
+const NEAR = 100;
+const FAR = 10000;
+const WRAP = 65000;
+const VIEW = { left: -200, top: -150, right: 200, bottom: 150 };
+
+/**
+ * Camera at the origin with the screen centered on (0, 0), so projected
+ * points are just x * eyeToScreen / z
+ */
+function makeCamera(options = {}) {
+    const camera = new Camera({
+        eyeToScreen: 500, halfOffset: 0, screenPlaneZ: null,
+        near: NEAR, far: FAR, wrapLength: WRAP, ...options
+    });
+    camera.center = { x: 0, y: 0 };
+    return camera;
+}
+
+function assertClose(actual, expected, message) {
+    assert.equal(actual.length, expected.length, message);
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) < 1e-9, `${message}: [${actual}] vs [${expected}]`);
+    });
+}
+
+function pointsToArray(points) {
+    return points.flatMap((p) => (p.z === undefined ? [p.x, p.y] : [p.x, p.y, p.z]));
+}
+
+test('segment crossing the near plane is cut at the near plane', () => {
+    const clipped = clipLineToDepth(makeCamera(), 0, 0, -100, 200, 0, 300);
+    assertClose(clipped, [100, 0, NEAR, 200, 0, 300], 'clipped segment');
+});
+
+test('segment wholly behind the camera is dropped', () => {
+    assert.equal(clipLineToDepth(makeCamera(), 0, 0, -500, 100, 100, -50), null);
+});
+
+test('segment past the far plane is dropped and one crossing it is cut', () => {
+    const camera = makeCamera();
+    assert.equal(clipLineToDepth(camera, 0, 0, FAR + 1, 0, 0, FAR + 500), null);
+    assertClose(clipLineToDepth(camera, 0, 0, 5000, 0, 0, 15000), [0, 0, 5000, 0, 0, FAR], 'far cut');
+});
+
+test('segment exactly on the near plane is kept', () => {
+    assertClose(clipLineToDepth(makeCamera(), -50, 0, NEAR, 50, 0, NEAR), [-50, 0, NEAR, 50, 0, NEAR],
+                'near plane segment');
+});
+
+test('segment parallel to a view edge and outside it is dropped', () => {
+    assert.equal(clipSegment2D(-100, -160, 100, -160, VIEW), null, 'above, horizontal');
+    assert.equal(clipSegment2D(250, -100, 250, 100, VIEW), null, 'right, vertical');
+});
+
+test('segment parallel to a view edge and inside it is cut to the view', () => {
+    assert.deepEqual(clipSegment2D(-300, 0, 300, 0, VIEW), { x1: -200, y1: 0, x2: 200, y2: 0 });
+    assert.deepEqual(clipSegment2D(200, -50, 200, 50, VIEW), { x1: 200, y1: -50, x2: 200, y2: 50 });
+});
+
+test('segment crossing a view corner is cut on both edges', () => {
+    assert.deepEqual(clipSegment2D(0, 0, 400, 300, VIEW), { x1: 0, y1: 0, x2: 200, y2: 150 });
+});
+
+test('polygon straddling the near plane gains corners on the near plane', () => {
+    const square = [
+        { x: -100, y: 0, z: -100 },
+        { x: 100, y: 0, z: -100 },
+        { x: 100, y: 0, z: 300 },
+        { x: -100, y: 0, z: 300 }
+    ];
+    const clipped = clipPolygonToDepth(makeCamera(), square);
+    assertClose(pointsToArray(clipped), [
+        100, 0, NEAR,
+        100, 0, 300,
+        -100, 0, 300,
+        -100, 0, NEAR
+    ], 'clipped polygon');
+});
+
+test('polygon wholly behind the camera is dropped', () => {
+    const triangle = [{ x: 0, y: 0, z: -10 }, { x: 10, y: 0, z: -20 }, { x: 0, y: 10, z: -30 }];
+    assert.deepEqual(clipPolygonToDepth(makeCamera(), triangle), []);
+    assert.equal(projectPolygon(makeCamera(), triangle), null);
+});
+
+test('polygon larger than the view is cut to the view', () => {
+    const wall = [
+        { x: -100000, y: -100000, z: 1000 },
+        { x: 100000, y: -100000, z: 1000 },
+        { x: 100000, y: 100000, z: 1000 },
+        { x: -100000, y: 100000, z: 1000 }
+    ];
+    const projected = projectPolygon(makeCamera(), wall, 0, VIEW);
+    const corners = projected.map((p) => `${Math.round(p.x)},${Math.round(p.y)}`).sort();
+    assert.deepEqual(corners, ['-200,-150', '-200,150', '200,-150', '200,150']);
+});
+
+test('polygon outside the view is dropped', () => {
+    const points = [{ x: 300, y: 0 }, { x: 400, y: 0 }, { x: 350, y: 100 }];
+    assert.deepEqual(clipPolygon2D(points, VIEW), []);
+});
+
+test('shapes across the tunnel seam stay in one piece', () => {
+    // Camera just short of the seam; the far end of the shape is past it
+    const camera = makeCamera();
+    camera.setPosition(0, 0, WRAP - 50);
+
+    // A shape running on past the seam, and one just past it
+    assertClose(clipLineToDepth(camera, 0, 0, WRAP - 20, 0, 0, WRAP + 1000), [0, 0, NEAR, 0, 0, 1050],
+                'line across the seam');
+    assertClose(clipLineToDepth(camera, 0, 0, 10, 0, 0, 1000), [0, 0, NEAR, 0, 0, 1050],
+                'line past the seam');
+
+    const triangle = [
+        { x: 0, y: 0, z: WRAP - 10 },
+        { x: 100, y: 0, z: WRAP + 2000 },
+        { x: 0, y: 100, z: WRAP + 2000 }
+    ];
+    const depths = clipPolygonToDepth(camera, triangle).map((p) => p.z);
+    assert.ok(depths.every((z) => z >= NEAR && z <= 2050), `depths ${depths}`);
+    assert.ok(depths.includes(2050), 'far corners unwrapped past the seam');
+});
+
+test('camera looking down -z sees what is behind it, left still on the left', () => {
+    const camera = makeCamera({ direction: -1 });
+    camera.setPosition(0, 0, 5000);
+
+    // Ahead of the camera in world z is behind it in view
+    assert.equal(clipLineToDepth(camera, 0, 0, 5500, 0, 0, 6000), null);
+
+    const clipped = clipLineToDepth(camera, -100, 0, 5200, -100, 0, 4000);
+    assertClose(clipped, [-100, 0, NEAR, -100, 0, 1000], 'line behind the camera');
+
+    const triangle = [
+        { x: -100, y: 0, z: 4000 },
+        { x: -50, y: 0, z: 4000 },
+        { x: -75, y: 50, z: 4000 }
+    ];
+    const projected = projectPolygon(camera, triangle);
+    assert.ok(projected.every((p) => p.x < 0), 'points left of the camera project left');
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/*
+ * ZGraf Web - Attract Mode Demo Recorder
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Records the demo games played in attract mode, using a simple autopilot
+// that hunts crosses and saucers. Demos are ordinary replay files, so they
+// must be re-recorded whenever gameplay changes.
+//
+//   node tools/record-demo.mjs                 Rebuild every demo in demos/index.json
+//   node tools/record-demo.mjs --level 2 --seed 77 --ticks 2400 --out demos/test.json
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createHeadlessSimulation, verifyReplay } from '../js/headless.js';
+
+const DEMO_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'demos');
+
+// Autopilot tuning
+const AIM_STEP = 900;          // Max aim movement per tick (tunnel units) - keeps motion human-looking
+const TARGET_TYPES = ['Cross', 'Saucer', 'Grabber'];
+const MAX_TARGET_DIST = 30000;
+const FIRE_DIST = 14000;
+
+/**
+ * Nearest live enemy ahead of the player
+ */
+function pickTarget(sim) {
+    const player = sim.player;
+    let best = null;
+    let bestZ = Infinity;
+
+    for (const obj of sim.tunnel.objects) {
+        if (!TARGET_TYPES.includes(obj.constructor.name)) continue;
+        if (obj.isExploding || obj.isForming) continue;
+
+        const relZ = obj.getZFromPlayer(player.z);
+        if (relZ > 800 && relZ < MAX_TARGET_DIST && relZ < bestZ) {
+            best = obj;
+            bestZ = relZ;
+        }
+    }
+    return best;
+}
+
+/**
+ * Input function for Simulation.step that flies toward and shoots enemies
+ */
+function createAutopilot() {
+    let aimX = 0;
+    let aimY = 0;
+    const approach = (from, to) => from + Math.max(-AIM_STEP, Math.min(AIM_STEP, to - from));
+
+    return (tick, sim) => {
+        const player = sim.player;
+        const target = pickTarget(sim);
+        const input = { forward: false, backward: false, fire: false };
+
+        if (target) {
+            const relZ = target.getZFromPlayer(player.z);
+            aimX = approach(aimX, target.x);
+            aimY = approach(aimY, target.y);
+
+            const linedUp = Math.abs(target.x - player.x) < target.extentX * 0.6 &&
+                            Math.abs(target.y - player.y) < target.extentY + 150;
+            input.fire = linedUp && relZ < FIRE_DIST;
+            input.forward = relZ > 7000;
+            input.backward = relZ < 2500;
+        } else {
+            // Nothing in range - cruise and drift back toward the center
+            aimX = approach(aimX, 0);
+            aimY = approach(aimY, 0);
+            input.forward = true;
+        }
+
+        input.aimX = Math.round(aimX);
+        input.aimY = Math.round(aimY);
+        return input;
+    };
+}
+
+/**
+ * Record one demo game
+ */
+function recordDemo({ level, seed, ticks }) {
+    const sim = createHeadlessSimulation({ level, seed });
+    const autopilot = createAutopilot();
+
+    for (let i = 0; i < ticks && !sim.game.isGameOver; i++) {
+        sim.step(1, autopilot(i, sim));
+    }
+    sim.finishRecording();
+    return sim.lastReplay;
+}
+
+function writeDemo(file, spec) {
+    const replay = recordDemo(spec);
+    const check = verifyReplay(replay);
+    if (!check.ok) {
+        throw new Error(`${file}: replay does not reproduce (${JSON.stringify(check.actual)})`);
+    }
+    writeFileSync(file, JSON.stringify(replay) + '\n');
+    console.log(`${file}: level ${spec.level}, seed ${spec.seed}, ${replay.ticks} ticks, ` +
+                `score ${replay.result.score}, reached level ${replay.result.level}`);
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        args[key] = key === 'out' ? argv[i + 1] : parseInt(argv[i + 1], 10);
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.out) {
+    writeDemo(args.out, { level: args.level ?? 1, seed: args.seed ?? 1, ticks: args.ticks ?? 2400 });
+} else {
+    const index = JSON.parse(readFileSync(join(DEMO_DIR, 'index.json'), 'utf8'));
+    for (const spec of index.demos) {
+        writeDemo(join(DEMO_DIR, spec.file), spec);
+    }
+}
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/*
+ * ZGraf Web - Replay Verifier
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Plays replay files through the headless simulation and checks that each
+// still ends with the score, energy and level it recorded, after as many
+// ticks as it recorded.
+//
+//   node tools/replay.mjs saved-game.json [more.json ...]
+//
+// Exits non-zero if any replay diverges.
+
+import { readFileSync } from 'node:fs';
+import { verifyReplay } from '../js/headless.js';
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    console.error('Usage: node tools/replay.mjs <replay.json> [...]');
+    process.exit(2);
+}
+
+let failures = 0;
+for (const file of files) {
+    try {
+        const replay = JSON.parse(readFileSync(file, 'utf8'));
+        const { ok, expected, actual } = verifyReplay(replay);
+        if (ok) {
+            console.log(`ok    ${file}  score ${actual.score}, level ${actual.level}`);
+        } else {
+            failures++;
+            console.log(`FAIL  ${file}`);
+            console.log(`      expected ${JSON.stringify(expected)}`);
+            console.log(`      actual   ${JSON.stringify(actual)}`);
+            if (actual.ticks < expected.ticks) {
+                console.log(`      game ended after ${actual.ticks} of ${expected.ticks} recorded ticks`);
+            }
+        }
+    } catch (e) {
+        failures++;
+        console.log(`FAIL  ${file}: ${e.message}`);
+    }
+}
+
+process.exit(failures > 0 ? 1 : 0);
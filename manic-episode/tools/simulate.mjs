@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/*
+ * ZGraf Web - Headless Simulation Runner
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Runs a level with no browser and prints the resulting state as JSON.
+//
+//   node tools/simulate.mjs --level 2 --ticks 1200 --forward --fire
+//
+// Options:
+//   --level N      Level to start (default 1)
+//   --seed N       Game seed (default: random; reported in the output)
+//   --ticks N      Ticks to run at 60 ticks/s (default 600)
+//   --forward      Hold thrust forward
+//   --backward     Hold thrust backward
+//   --fire         Hold fire (shots limited by cooldown)
+//   --aim X,Y      Aim position in tunnel coordinates
+//   --objects      Include the full object and shot lists
+
+import { createHeadlessSimulation } from '../js/headless.js';
+import { parseSeed } from '../js/random.js';
+
+function parseArgs(argv) {
+    const args = { level: 1, seed: undefined, ticks: 600, forward: false, backward: false, fire: false, aim: null, objects: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--level':
+                args.level = parseInt(argv[++i], 10);
+                break;
+            case '--seed':
+                args.seed = parseSeed(argv[++i]);
+                break;
+            case '--ticks':
+                args.ticks = parseInt(argv[++i], 10);
+                break;
+            case '--forward':
+                args.forward = true;
+                break;
+            case '--backward':
+                args.backward = true;
+                break;
+            case '--fire':
+                args.fire = true;
+                break;
+            case '--aim':
+                args.aim = argv[++i].split(',').map(Number);
+                break;
+            case '--objects':
+                args.objects = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const sim = createHeadlessSimulation({ level: args.level, seed: args.seed });
+
+const input = { forward: args.forward, backward: args.backward, fire: args.fire };
+if (args.aim) {
+    [input.aimX, input.aimY] = args.aim;
+}
+
+sim.step(args.ticks, input);
+
+const snapshot = sim.getSnapshot();
+if (!args.objects) {
+    snapshot.objects = snapshot.objects.length;
+    snapshot.shots = snapshot.shots.length;
+}
+
+console.log(JSON.stringify(snapshot, null, 2));
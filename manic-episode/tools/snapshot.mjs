@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/*
+ * ZGraf Web - Frame Snapshot
+ *
+ * Copyright (c) 1991-2025 David Temkin
+ * SPDX-License-Identifier: MIT
+ */
+
+// Runs a level headless, then draws the player's view as an SVG image or as
+// the frame's list of drawing commands (JSON, for comparing frames).
+//
+//   node tools/snapshot.mjs --level 2 --seed 1234 --ticks 300 --forward --out frame.svg
+//
+// Options:
+//   --level N      Level to start (default 1)
+//   --seed N       Game seed (default: random)
+//   --ticks N      Ticks to run at 60 ticks/s before the snapshot (default 120)
+//   --forward      Hold thrust forward
+//   --fire         Hold fire
+//   --stereo ID    Stereo output whose eye colors to draw in (default mono)
+//   --format F     svg or json (default svg)
+//   --out FILE     Write to a file instead of stdout
+
+import { writeFileSync } from 'node:fs';
+import { createHeadlessSimulation, renderFrame, CommandListBackend, SVGBackend } from '../js/headless.js';
+import { parseSeed } from '../js/random.js';
+
+function parseArgs(argv) {
+    const args = { level: 1, seed: undefined, ticks: 120, forward: false, fire: false,
+                   stereo: 'mono', format: 'svg', out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--level':
+                args.level = parseInt(argv[++i], 10);
+                break;
+            case '--seed':
+                args.seed = parseSeed(argv[++i]);
+                break;
+            case '--ticks':
+                args.ticks = parseInt(argv[++i], 10);
+                break;
+            case '--forward':
+                args.forward = true;
+                break;
+            case '--fire':
+                args.fire = true;
+                break;
+            case '--stereo':
+                args.stereo = argv[++i];
+                break;
+            case '--format':
+                args.format = argv[++i];
+                if (args.format !== 'svg' && args.format !== 'json') {
+                    throw new Error(`Unknown format: ${args.format} (svg or json)`);
+                }
+                break;
+            case '--out':
+                args.out = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const sim = createHeadlessSimulation({ level: args.level, seed: args.seed });
+sim.step(args.ticks, { forward: args.forward, fire: args.fire });
+
+const backend = renderFrame(sim, args.format === 'svg' ? new SVGBackend() : new CommandListBackend(),
+                            { stereo: args.stereo });
+const output = args.format === 'svg' ? backend.toString() : JSON.stringify(backend, null, 2) + '\n';
+
+if (args.out) {
+    writeFileSync(args.out, output);
+} else {
+    process.stdout.write(output);
+}